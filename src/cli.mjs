@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Single entry point for the profiler (`cop-profiler`).  Every script that used to be started with
+ *          `node <file>` is available as a subcommand, and the config file, output folder and tenant can be
+ *          given on the command line so the tool can be run from any directory or from a CI job.
+ *
+ *      Usage:
+ *
+ *          cop-profiler <command> [--config <file>] [--output <dir>] [--tenant <name>] [--base-url <url>]
+ *                                 [--force | --reuse-existing | --fail-if-exists] [--resume]
+ *                                 [--concurrency <n>] [--max-attempts <n>] [--rate-limit <n>]
+ *                                 [--token-file <file> | --token-stdin]
+ *                                 [--quiet | --verbose] [--log-file <file>]
+ *                                 [--record <bundle> | --replay <bundle>]
+ *                                 [--format <format>] [--branches columns|list|sheet] [--max-branch-columns <n>]
+ *
+ * ==========================================================================================================
+ */
+
+import path from 'path';
+import { parseArgs } from 'util';
+import { main } from './main.mjs';
+import { combineDataAndGenerateCsv, parseReportFormat, parseBranchLayout, parseMaxBranchColumns } from './createReport.mjs';
+import { collectAllTenants } from './collectTenants.mjs';
+import { fetchApplicationsWithAuth } from './scripts/getApplicationList.mjs';
+import { fetchProjectsWithAuth as fetchProjectProperties } from './scripts/getProjectProperties.mjs';
+import { fetchBranchesWithAuth } from './scripts/getProjectBranches.mjs';
+import { fetchProjectsWithAuth as fetchProjectUserInformation } from './scripts/getProjectUserInformation.mjs';
+import { setProjectProperties } from './scripts/setProjectProperties.mjs';
+import { validateConfigFile } from './scripts/validateConfig.mjs';
+import { resolveExistingFilePolicy, existingFilePolicyEnv } from './lib/existingOutput.mjs';
+import { parseMaxAttempts } from './lib/retry.mjs';
+import { parseRequestsPerSecond } from './lib/rateLimiter.mjs';
+import { configureLogger, logger } from './lib/logger.mjs';
+
+const commands = {
+  'collect': { run: main, description: 'Collect applications, projects, users/groups and branches (all-in-one)' },
+  'collect-all': { run: collectAllTenants, description: 'Collect and report every tenant in a multi-tenant config, plus tenantSummary.csv' },
+  'report': { run: combineDataAndGenerateCsv, description: 'Combine the collected data into finalProjectDetails.csv' },
+  'applications': { run: fetchApplicationsWithAuth, description: 'Collect the application list' },
+  'projects': { run: fetchProjectProperties, description: 'Collect projects and their properties' },
+  'branches': { run: fetchBranchesWithAuth, description: 'Collect branches and map them to projects' },
+  'users': { run: fetchProjectUserInformation, description: 'Collect the users and groups assigned to each project' },
+  'set-properties': { run: setProjectProperties, description: 'Post the key/value pairs in projectList.json to each project' },
+  'validate-config': { run: validateConfigFile, description: 'Check the config file and list every problem, without contacting Polaris' }
+};
+
+const options = {
+  config: { type: 'string', short: 'c', default: 'config.json' },
+  output: { type: 'string', short: 'o', default: 'output' },
+  tenant: { type: 'string', short: 't' },
+  'base-url': { type: 'string' },
+  force: { type: 'boolean', default: false },
+  'reuse-existing': { type: 'boolean', default: false },
+  'fail-if-exists': { type: 'boolean', default: false },
+  resume: { type: 'boolean', default: false },
+  concurrency: { type: 'string' },
+  'max-attempts': { type: 'string' },
+  'rate-limit': { type: 'string' },
+  'token-file': { type: 'string' },
+  'token-stdin': { type: 'boolean', default: false },
+  quiet: { type: 'boolean', short: 'q', default: false },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  'log-file': { type: 'string' },
+  record: { type: 'string' },
+  replay: { type: 'string' },
+  format: { type: 'string' },
+  branches: { type: 'string' },
+  'max-branch-columns': { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const usage = () => {
+  const commandList = Object.entries(commands)
+    .map(([name, command]) => `  ${name.padEnd(16)}${command.description}`)
+    .join('\n');
+
+  return `Usage: cop-profiler <command> [options]
+
+Commands:
+${commandList}
+
+Options:
+  -c, --config <file>   Path to config.json (default: ./config.json)
+  -o, --output <dir>    Output directory (default: ./output)
+  -t, --tenant <name>   Tenant name, overrides "customer" in the config (or picks one of its "tenants")
+  --base-url <url>      Polaris host, overrides "baseUrl" in the config
+                        (default: https://{customer}.polaris.synopsys.com)
+  --force               Replace output files that already exist
+  --reuse-existing      Keep output files that already exist and skip fetching them
+  --fail-if-exists      Stop with an error if an output file already exists
+                        (or set ${existingFilePolicyEnv}=force|reuse|fail|prompt; without a terminal
+                        the default is fail)
+  --resume              Continue an interrupted collect/users run from its checkpoints
+  --concurrency <n>     Fetch role assignments for up to n projects in parallel
+                        (default: "concurrency" in the config, else 1)
+  --max-attempts <n>    Attempts per Polaris call before giving up on transient errors
+                        (5xx, 429, network resets; default: "maxAttempts" in the config, else 5)
+  --rate-limit <n>      Send at most n requests per second to Polaris, 0 for no limit
+                        (default: "requestsPerSecond" in the config, else no limit)
+  --token-file <file>   Read the Polaris access token from a file
+  --token-stdin         Read the Polaris access token from stdin
+                        (or set POLARIS_ACCESS_TOKEN; POLARIS_EMAIL and POLARIS_PASSWORD also work)
+  -q, --quiet           Only print warnings and errors
+  -v, --verbose         Also print debug output (every page and request with its status and duration)
+  --log-file <file>     Append every message and Polaris request to <file> as JSON lines
+  --record <bundle>     Save the (sanitized) Polaris responses of this run to a fixture bundle
+  --replay <bundle>     Answer every Polaris call from a recorded bundle; no tenant, credentials
+                        or network needed
+  --format <format>     What report writes: csv (finalProjectDetails.csv, the default), tables
+                        (normalized CSV tables with IDs in tables/, for a database or BI tool),
+                        sqlite (the same tables in inventory.sqlite), xlsx (finalProjectDetails.xlsx,
+                        a sheet per entity and an access matrix), html (migrationDashboard.html,
+                        a self-contained dashboard) or markdown (executiveSummary.md)
+  --branches <layout>   Branches in the report: columns (one branchName<n> column each, the default),
+                        list (one "; "-separated column) or sheet (finalProjectBranches.csv)
+  --max-branch-columns <n>
+                        Cap the branchName<n> columns; the report warns about branches left out
+  -h, --help            Show this help`;
+};
+
+const run = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({ options, allowPositionals: true });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(usage());
+    process.exitCode = 2;
+    return;
+  }
+
+  const { values, positionals } = parsed;
+  const [commandName] = positionals;
+
+  if (values.help || !commandName) {
+    console.log(usage());
+    return;
+  }
+
+  const command = commands[commandName];
+  if (!command) {
+    console.error(`Error: Unknown command "${commandName}".`);
+    console.error(usage());
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.quiet && values.verbose) {
+    console.error('Error: Use either --quiet or --verbose, not both.');
+    process.exitCode = 2;
+    return;
+  }
+
+  try {
+    configureLogger({
+      level: values.quiet ? 'warn' : (values.verbose ? 'debug' : 'info'),
+      logFile: values['log-file'] && path.resolve(values['log-file'])
+    });
+
+    await command.run({
+      configPath: path.resolve(values.config),
+      outputDirectory: path.resolve(values.output),
+      tenant: values.tenant,
+      baseUrl: values['base-url'],
+      resume: values.resume,
+      concurrency: values.concurrency,
+      maxAttempts: values['max-attempts'] === undefined ? undefined : parseMaxAttempts(values['max-attempts']),
+      requestsPerSecond: values['rate-limit'] === undefined ? undefined : parseRequestsPerSecond(values['rate-limit']),
+      tokenFile: values['token-file'] && path.resolve(values['token-file']),
+      tokenStdin: values['token-stdin'],
+      record: values.record && path.resolve(values.record),
+      replay: values.replay && path.resolve(values.replay),
+      format: values.format === undefined ? undefined : parseReportFormat(values.format),
+      branches: values.branches === undefined ? undefined : parseBranchLayout(values.branches),
+      maxBranchColumns: values['max-branch-columns'] === undefined ? undefined : parseMaxBranchColumns(values['max-branch-columns']),
+      existingFiles: resolveExistingFilePolicy({
+        force: values.force,
+        reuseExisting: values['reuse-existing'],
+        failIfExists: values['fail-if-exists'],
+        resume: values.resume
+      })
+    });
+  } catch (error) {
+    logger.error('Error:', error.message);
+    process.exitCode = 1;
+  }
+};
+
+run();
@@ -0,0 +1,142 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Profile every tenant listed under "tenants" in the config (`cop-profiler collect-all`).  Each
+ *          tenant is collected and reported into its own subdirectory of the output folder, exactly as
+ *          `collect` and `report` would do with --tenant, and a cross-tenant summary is written next to
+ *          them:
+ *
+ *            output/<tenant>/...             the usual files for that tenant
+ *            output/tenantSummary.json/.csv  one line per tenant with its counts and status
+ *
+ *          A failing tenant does not stop the others; it is marked as failed in the summary and the run
+ *          exits with code 1.
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseAsync } from 'json2csv';
+import { main } from './main.mjs';
+import { combineDataAndGenerateCsv } from './createReport.mjs';
+import { listTenants } from './lib/config.mjs';
+import { countPrincipals } from './lib/roleAssignments.mjs';
+import { outputPaths, ensureOutputDirectoryExists } from './lib/outputPaths.mjs';
+import { resolveExistingFilePolicy, existingOutputErrorCode } from './lib/existingOutput.mjs';
+import { isEntryPoint } from './lib/entryPoint.mjs';
+import { logger, isLevelEnabled } from './lib/logger.mjs';
+
+const defaultConfigPath = './config.json';
+const defaultOutputDirectory = './output';
+
+const readJson = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/* Count what was collected for one tenant from the files in its output directory */
+
+const summarizeTenant = async (customer, paths, error) => {
+  const applications = await readJson(paths.applicationsList);
+  const projects = await readJson(paths.projectList);
+  const details = await readJson(paths.detailsList);
+  const branches = await readJson(paths.branchesList);
+
+  return {
+    tenant: customer,
+    status: error ? 'failed' : 'ok',
+    applications: applications ? applications.length : '',
+    projects: projects ? projects.length : '',
+    branches: branches && branches.data ? branches.data.length : '',
+    users: details ? countPrincipals(details, 'User') : '',
+    groups: details ? countPrincipals(details, 'GroupName') : '',
+    outputDirectory: paths.outputDirectory,
+    error: error || ''
+  };
+};
+
+const writeSummary = async (paths, summary) => {
+  await fs.writeFile(paths.tenantSummaryJson, JSON.stringify(summary, null, 2), 'utf8');
+
+  const csvOutput = await parseAsync(summary, {
+    fields: ['tenant', 'status', 'applications', 'projects', 'branches', 'users', 'groups', 'outputDirectory', 'error'],
+    header: true
+  });
+  await fs.writeFile(paths.tenantSummaryCsv, csvOutput, 'utf8');
+
+  logger.info(`Tenant summary has been saved to ${path.basename(paths.tenantSummaryCsv)}`);
+  if (isLevelEnabled('info')) {
+    console.table(summary.map(({ tenant, status, applications, projects, branches, users, groups }) => (
+      { tenant, status, applications, projects, branches, users, groups }
+    )));
+  }
+};
+
+export const collectAllTenants = async ({ configPath = defaultConfigPath, outputDirectory = defaultOutputDirectory, existingFiles = resolveExistingFilePolicy(), tenant, tokenFile, tokenStdin, record, replay, ...options } = {}) => {
+  try {
+    if (tenant) {
+      throw new Error('collect-all profiles every tenant in the config; use `collect --tenant <name>` for a single one.');
+    }
+
+    if (tokenFile || tokenStdin) {
+      throw new Error('--token-file and --token-stdin hold a single token; give each tenant its credentials in the config or in POLARIS_ACCESS_TOKEN_<TENANT>.');
+    }
+
+    if (record || replay) {
+      throw new Error('--record and --replay work on a single tenant; use `collect --tenant <name>`.');
+    }
+
+    const tenants = await listTenants(configPath);
+    if (tenants.length === 0) {
+      throw new Error(`${configPath} does not list any "tenants"; use \`collect\` for a single-tenant config.`);
+    }
+
+    const paths = outputPaths(outputDirectory);
+    await ensureOutputDirectoryExists(paths.outputDirectory);
+
+    const summary = [];
+    let failed = false;
+
+    for (const customer of tenants) {
+      logger.info(`\n=== Tenant ${customer} (${summary.length + 1} of ${tenants.length}) ===`);
+
+      const tenantPaths = outputPaths(path.join(outputDirectory, customer));
+      let error;
+
+      try {
+        const manifest = await main({ ...options, configPath, outputDirectory: tenantPaths.outputDirectory, existingFiles, tenant: customer });
+        // A refused run leaves no manifest of its own to point to
+        const refusal = manifest.failures.find(failure => failure.code === existingOutputErrorCode);
+        if (refusal) {
+          error = refusal.message;
+        } else if (!manifest.complete) {
+          error = `incomplete (${manifest.failures.length} failure${manifest.failures.length === 1 ? '' : 's'}), see ${path.basename(tenantPaths.runManifest)}`;
+        } else if (!await combineDataAndGenerateCsv({ ...options, outputDirectory: tenantPaths.outputDirectory })) {
+          error = 'the report could not be written, see the log';
+        }
+      } catch (tenantError) {
+        error = tenantError.message;
+        logger.error(`Error (${customer}):`, error);
+      }
+
+      failed = failed || Boolean(error);
+      summary.push(await summarizeTenant(customer, tenantPaths, error));
+    }
+
+    await writeSummary(paths, summary);
+    process.exitCode = failed ? 1 : 0;
+
+  } catch (error) {
+    process.exitCode = 1;
+    logger.error('Error:', error.message);
+  }
+};
+
+if (isEntryPoint(import.meta.url)) {
+  collectAllTenants();
+}
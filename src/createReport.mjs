@@ -1,28 +1,143 @@
 import fs from 'fs/promises';
 import { parseAsync } from 'json2csv';
+import { outputPaths } from './lib/outputPaths.mjs';
+import { isEntryPoint } from './lib/entryPoint.mjs';
+import { logger } from './lib/logger.mjs';
+import { buildTables, writeTablesCsv } from './lib/relationalExport.mjs';
+import { writeTablesSqlite } from './lib/sqliteExport.mjs';
+import { writeWorkbook } from './lib/workbookExport.mjs';
+import { writeDashboard } from './lib/htmlReport.mjs';
+import { writeSummaryMarkdown } from './lib/markdownSummary.mjs';
 
-const projectListPath = './output/projectList.json';
-const detailsListPath = './output/userDetailsList.json';
-const branchesListPath = './output/branchesList.json';
-const applicationsListPath = './output/applicationsList.json';
-const outputCsvPath = './output/finalProjectDetails.csv';
+const defaultOutputDirectory = './output';
+
+/*
+ *    How the branches of each project appear in finalProjectDetails.csv:
+ *
+ *      columns   one branchName<n> column per branch, as many as the project with the most branches needs
+ *      list      a single branchNames column with every branch name, separated by "; "
+ *      sheet     a branchCount column only; the branches themselves go to finalProjectBranches.csv
+ *                (one row per project and branch)
+ *
+ *    maxBranchColumns caps the number of branchName<n> columns for spreadsheets that cannot cope with
+ *    very wide files.  Branches beyond the cap are left out, and the report says how many.
+ */
+
+export const branchLayouts = ['columns', 'list', 'sheet'];
+
+/*
+ *    What `report` writes:
+ *
+ *      csv       finalProjectDetails.csv, one row per project and user or group (the default)
+ *      tables    the normalized tables of lib/relationalExport.mjs, as CSV files in tables/
+ *      sqlite    the same tables in inventory.sqlite, with foreign keys and indexes
+ *      xlsx      finalProjectDetails.xlsx, an Excel workbook with a sheet per entity and an access matrix
+ *      html      migrationDashboard.html, a self-contained dashboard with charts, drill-down and tables
+ *      markdown  executiveSummary.md, a narrative summary with totals, outliers and data-quality warnings
+ */
+
+export const reportFormats = ['csv', 'tables', 'sqlite', 'xlsx', 'html', 'markdown'];
+
+export const parseReportFormat = (value) => {
+  if (!reportFormats.includes(value)) {
+    throw new Error(`Report format must be one of ${reportFormats.join(', ')} (got "${value}").`);
+  }
+  return value;
+};
+
+const branchListSeparator = '; ';
+
+export const parseBranchLayout = (value) => {
+  if (!branchLayouts.includes(value)) {
+    throw new Error(`Branch layout must be one of ${branchLayouts.join(', ')} (got "${value}").`);
+  }
+  return value;
+};
+
+export const parseMaxBranchColumns = (value) => {
+  const maxBranchColumns = Number(value);
+  if (!Number.isInteger(maxBranchColumns) || maxBranchColumns < 1) {
+    throw new Error(`Max branch columns must be a whole number of at least 1 (got "${value}").`);
+  }
+  return maxBranchColumns;
+};
+
+/* The files written by collect; the report cannot be made without any of them */
 
 const readLocalFiles = async (filePath) => {
+  let data;
+  try {
+    data = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Input file ${filePath} is missing; run \`cop-profiler collect\` with the same --output first.`);
+    }
+    throw new Error(`Cannot read input file ${filePath}: ${error.message}`);
+  }
+
   try {
-    const data = await fs.readFile(filePath, 'utf8');
     return JSON.parse(data);
   } catch (error) {
-    console.error(`Error reading ${filePath}:`, error.message);
-    return [];
+    throw new Error(`Input file ${filePath} is not valid JSON (${error.message}); collect the data again.`);
   }
 };
 
-const combineDataAndGenerateCsv = async () => {
+/* run-manifest.json and groupMembers.json are optional here: output collected before they existed has none */
+
+const readOptionalFile = async (filePath) => {
   try {
-    const allProjects = await readLocalFiles(projectListPath);
-    const allDetails = await readLocalFiles(detailsListPath);
-    const allBranches = await readLocalFiles(branchesListPath);
-    const allApplications = await readLocalFiles(applicationsListPath);
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    return undefined;
+  }
+};
+
+//
+//  Resolves to true once the report is written.  A missing or unreadable input file, like any other error,
+//  is logged, sets exit code 1 and resolves to false.
+//
+
+export const combineDataAndGenerateCsv = async ({ outputDirectory = defaultOutputDirectory, format = 'csv', branches: branchLayout = 'columns', maxBranchColumns } = {}) => {
+  try {
+    const paths = outputPaths(outputDirectory);
+    parseReportFormat(format);
+    parseBranchLayout(branchLayout);
+    if (maxBranchColumns !== undefined) {
+      parseMaxBranchColumns(maxBranchColumns);
+    }
+
+    const allProjects = await readLocalFiles(paths.projectList);
+    const allDetails = await readLocalFiles(paths.detailsList);
+    const allBranches = await readLocalFiles(paths.branchesList);
+    const allApplications = await readLocalFiles(paths.applicationsList);
+
+    if (format !== 'csv') {
+      const tables = buildTables({
+        applications: allApplications,
+        projects: allProjects,
+        branches: allBranches.data || [],
+        details: allDetails,
+        groupMembers: await readOptionalFile(paths.groupMembersList) || []
+      });
+
+      if (format === 'sqlite') {
+        await writeTablesSqlite(paths.inventorySqlite, tables);
+        logger.info('The inventory has been saved to inventory.sqlite');
+      } else if (format === 'xlsx') {
+        await writeWorkbook(paths.finalReportXlsx, tables, { manifest: await readOptionalFile(paths.runManifest) });
+        logger.info('The workbook has been saved to finalProjectDetails.xlsx');
+      } else if (format === 'html') {
+        await writeDashboard(paths.dashboardHtml, tables, { manifest: await readOptionalFile(paths.runManifest) });
+        logger.info('The dashboard has been saved to migrationDashboard.html');
+      } else if (format === 'markdown') {
+        await writeSummaryMarkdown(paths.summaryMarkdown, tables, { manifest: await readOptionalFile(paths.runManifest) });
+        logger.info('The executive summary has been saved to executiveSummary.md');
+      } else {
+        await writeTablesCsv(paths.tablesDirectory, tables);
+        logger.info(`Normalized tables have been saved to ${paths.tablesDirectory}`);
+      }
+      return true;
+    }
 
     const projectMap = allProjects.reduce((map, project) => {
       map[project.id] = { 
@@ -47,9 +162,9 @@ const combineDataAndGenerateCsv = async () => {
       const project = projectMap[detail.projectId];
       if (project) {
         if (detail.userType === 'User') {
-          project.users.push({ name: detail.name, email: detail.email, type: 'Individual User' });
+          project.users.push({ name: detail.name, email: detail.email, role: detail.roleName || '', type: 'Individual User' });
         } else if (detail.userType === 'GroupName') {
-          project.groups.push({ name: detail.name, type: 'Group' });
+          project.groups.push({ name: detail.name, role: detail.roleName || '', type: 'Group' });
         }
       }
     });
@@ -63,12 +178,28 @@ const combineDataAndGenerateCsv = async () => {
       return map;
     }, {});
 
+    const mostBranches = Math.max(0, ...Object.values(projectMap).map(project => project.branches.length));
+    const branchColumnCount = Math.min(mostBranches, maxBranchColumns ?? mostBranches);
+    const branchColumns = Array.from({ length: branchColumnCount }, (_, i) => `branchName${i + 1}`);
+
+    const branchFields = (project) => {
+      if (branchLayout === 'list') {
+        return { branchNames: project.branches.join(branchListSeparator) };
+      }
+
+      if (branchLayout === 'sheet') {
+        return { branchCount: project.branches.length };
+      }
+
+      return branchColumns.reduce((obj, column, index) => {
+        obj[column] = project.branches[index] || '';
+        return obj;
+      }, {});
+    };
+
     const csvData = [];
     Object.values(projectMap).forEach(project => {
-      const maxBranches = 5;
-      const branches = project.branches.slice(0, maxBranches);
-      while (branches.length < maxBranches) branches.push('');
-
+      const branches = branchFields(project);
       const applicationName = applicationMap[project.projectId] || 'No Application Name';
 
       project.users.forEach(user => {
@@ -79,10 +210,8 @@ const combineDataAndGenerateCsv = async () => {
           type: user.type,
           name: user.name,
           email: user.email,
-          ...branches.reduce((obj, branch, index) => {
-            obj[`branchName${index + 1}`] = branch;
-            return obj;
-          }, {})
+          role: user.role,
+          ...branches
         });
       });
 
@@ -94,14 +223,18 @@ const combineDataAndGenerateCsv = async () => {
           type: group.type,
           name: group.name,
           email: '',
-          ...branches.reduce((obj, branch, index) => {
-            obj[`branchName${index + 1}`] = branch;
-            return obj;
-          }, {})
+          role: group.role,
+          ...branches
         });
       });
     });
 
+    const branchFieldNames = {
+      columns: branchColumns,
+      list: ['branchNames'],
+      sheet: ['branchCount']
+    };
+
     const csvOutput = await parseAsync(csvData, {
       fields: [
         'applicationName',
@@ -110,21 +243,43 @@ const combineDataAndGenerateCsv = async () => {
         'type', 
         'name', 
         'email', 
-        'branchName1', 
-        'branchName2', 
-        'branchName3', 
-        'branchName4', 
-        'branchName5'
+        'role',
+        ...branchFieldNames[branchLayout]
       ],
       header: true
     });
 
-    await fs.writeFile(outputCsvPath, csvOutput, 'utf8');
-    console.log('Final project details have been saved to finalProjectDetails.csv');
+    await fs.writeFile(paths.finalReportCsv, csvOutput, 'utf8');
+    logger.info('Final project details have been saved to finalProjectDetails.csv');
+
+    if (branchLayout === 'sheet') {
+      const branchRows = Object.values(projectMap).flatMap(project => project.branches.map(branchName => ({
+        projectName: project.projectName,
+        projectId: project.projectId,
+        branchName
+      })));
+
+      await fs.writeFile(paths.finalBranchesCsv, await parseAsync(branchRows, { fields: ['projectName', 'projectId', 'branchName'], header: true }), 'utf8');
+      logger.info('Project branches have been saved to finalProjectBranches.csv');
+    }
+
+    // Only the columns layout can lose branches, and only when maxBranchColumns is set
+    if (branchLayout === 'columns') {
+      const truncated = Object.values(projectMap).filter(project => project.branches.length > branchColumnCount);
+      if (truncated.length > 0) {
+        const omitted = truncated.reduce((total, project) => total + project.branches.length - branchColumnCount, 0);
+        logger.warn(`${truncated.length} project${truncated.length === 1 ? ' has' : 's have'} more than ${branchColumnCount} branches; ${omitted} branch name${omitted === 1 ? ' was' : 's were'} left out of finalProjectDetails.csv. Use --branches list or --branches sheet to keep them all.`);
+      }
+    }
 
+    return true;
   } catch (error) {
-    console.error('Error:', error.message);
+    process.exitCode = 1;
+    logger.error('Error:', error.message);
+    return false;
   }
 };
 
-combineDataAndGenerateCsv();
+if (isEntryPoint(import.meta.url)) {
+  combineDataAndGenerateCsv();
+}
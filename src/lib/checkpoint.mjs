@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.mjs';
+
+/*
+ *    Progress journals for long collection runs.  Each collector stage appends one JSON line per finished
+ *    unit of work (a page of a paginated list, or one project's role assignments) to
+ *    <output>/.checkpoint/<stage>.jsonl, and removes the journal once its final output file is written.
+ *
+ *    With --resume the journal of an interrupted run is read back so the stage can skip what is already
+ *    done.  Without it any old journal is discarded and the stage starts from scratch.
+ */
+
+const readJournal = async (journalPath) => {
+  let content;
+  try {
+    content = await fs.readFile(journalPath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+
+  // A run killed mid-write can leave a truncated last line; it is simply fetched again
+  return content.split('\n').reduce((entries, line) => {
+    if (line.trim() === '') {
+      return entries;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      logger.warn(`Ignoring unreadable checkpoint entry in ${path.basename(journalPath)}.`);
+    }
+    return entries;
+  }, []);
+};
+
+export const openCheckpoint = async (checkpointDirectory, stage, { resume = false } = {}) => {
+  const journalPath = path.join(checkpointDirectory, `${stage}.jsonl`);
+
+  await fs.mkdir(checkpointDirectory, { recursive: true });
+
+  // found: an interrupted run left a journal behind, i.e. this stage never finished
+  let entries = [];
+  let found = false;
+  if (resume) {
+    const journal = await readJournal(journalPath);
+    if (journal) {
+      entries = journal;
+      found = true;
+      logger.info(`Resuming ${stage} from checkpoint (${entries.length} entries).`);
+    }
+  } else {
+    await fs.rm(journalPath, { force: true });
+  }
+
+  // Created up front so a run that dies before finishing its first unit still counts as interrupted
+  await fs.appendFile(journalPath, '', 'utf8');
+
+  // Appends are chained so entries from concurrent workers never interleave
+  let pendingWrite = Promise.resolve();
+  const append = (entry) => {
+    pendingWrite = pendingWrite.then(() => fs.appendFile(journalPath, `${JSON.stringify(entry)}\n`, 'utf8'));
+    return pendingWrite;
+  };
+
+  // Options for the client's paginated list methods: continue after the last saved page and save each new one
+  const pagination = () => {
+    const lastPage = entries[entries.length - 1];
+    return {
+      startOffset: lastPage ? lastPage.nextOffset : 0,
+      initialRecords: entries.flatMap(page => page.records),
+      onPage: ({ nextOffset, records }) => append({ nextOffset, records })
+    };
+  };
+
+  const complete = async () => {
+    await fs.rm(journalPath, { force: true });
+  };
+
+  return { found, entries, append, pagination, complete };
+};
@@ -0,0 +1,194 @@
+import fs from 'fs/promises';
+import { protectSecrets } from './redact.mjs';
+import { validateConfig } from './configSchema.mjs';
+import { logger } from './logger.mjs';
+
+/*
+ *    Read and parse the profiler configuration (config.json).  Settings given on the command line
+ *    (tenant, baseUrl, maxAttempts, requestsPerSecond) replace the ones from the file.
+ *
+ *    Credentials do not have to live in config.json.  In order of precedence they come from:
+ *
+ *      1.  --token-stdin / --token-file (access token only)
+ *      2.  POLARIS_ACCESS_TOKEN, POLARIS_EMAIL, POLARIS_PASSWORD
+ *      3.  accesstoken, email, password in config.json
+ *
+ *    An access token supplied outside the file wins over a password left in the file.  Whatever the
+ *    source, the secrets are masked in all console output from here on.
+ *
+ *    The environment variables can be made tenant specific by appending the tenant name in upper case
+ *    (POLARIS_ACCESS_TOKEN_ACME for tenant "acme"); those win over the plain ones.
+ *
+ *    A config may list several tenants under "tenants" (see collectTenants.mjs).  Each entry holds the
+ *    tenant's own customer and credentials, and the settings outside the list are shared by all of them.
+ *    --tenant picks one entry, so every single-tenant command still works with such a config.
+ *
+ *    loadConfig() then checks the result against the schema in configSchema.mjs and stops with every
+ *    problem listed at once; readConfig() is the same without the check (used by validate-config).
+ *    With --replay the file may be missing and no tenant or credentials are needed.
+ */
+
+export const credentialEnv = {
+  accesstoken: 'POLARIS_ACCESS_TOKEN',
+  email: 'POLARIS_EMAIL',
+  password: 'POLARIS_PASSWORD'
+};
+
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+export const tenantEnvName = (name, customer) => `${name}_${String(customer).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+
+const credentialFromEnv = (key, customer) => {
+  const name = credentialEnv[key];
+  return (customer && process.env[tenantEnvName(name, customer)]) || process.env[name];
+};
+
+const resolveCredentials = async (config, { tokenFile, tokenStdin }) => {
+  if (tokenFile && tokenStdin) {
+    throw new Error('Use either --token-file or --token-stdin, not both.');
+  }
+
+  let externalToken = credentialFromEnv('accesstoken', config.customer);
+  const externalPassword = credentialFromEnv('password', config.customer);
+  const externalEmail = credentialFromEnv('email', config.customer);
+
+  if (externalEmail) {
+    config.email = externalEmail;
+  }
+
+  if (tokenFile) {
+    externalToken = await fs.readFile(tokenFile, 'utf8');
+  }
+
+  if (tokenStdin) {
+    externalToken = await readStdin();
+  }
+
+  if (externalPassword) {
+    config.password = externalPassword;
+  }
+
+  if (externalToken) {
+    config.accesstoken = externalToken.trim();
+    if (!externalPassword) {
+      config.password = '';
+    }
+  }
+
+  protectSecrets([config.accesstoken, config.password]);
+};
+
+const parseConfigFile = async (configPath) => {
+  let configData;
+  try {
+    configData = await fs.readFile(configPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Config file ${configPath} not found (copy src/config.json or pass --config <file>).`);
+    }
+    throw error;
+  }
+
+  try {
+    return JSON.parse(configData);
+  } catch (error) {
+    throw new Error(`Config file ${configPath} is not valid JSON: ${error.message}`);
+  }
+};
+
+const isMultiTenant = (config) => Array.isArray(config.tenants);
+
+/* Merge the chosen entry of "tenants" over the shared settings */
+
+const selectTenant = (config, tenant) => {
+  const { tenants, ...shared } = config;
+  const entry = tenants.find(candidate => candidate && candidate.customer === tenant);
+
+  if (!entry) {
+    const known = tenants.map(candidate => candidate && candidate.customer).filter(Boolean).join(', ');
+    throw new Error(`Tenant "${tenant}" is not listed under "tenants" in the config (listed: ${known || 'none'}).`);
+  }
+
+  return { ...shared, ...entry };
+};
+
+export const readConfig = async (configPath, { tenant, baseUrl, maxAttempts, requestsPerSecond, tokenFile, tokenStdin } = {}) => {
+  let config = await parseConfigFile(configPath);
+
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return config;
+  }
+
+  if (isMultiTenant(config)) {
+    if (!tenant) {
+      return config;
+    }
+    config = selectTenant(config, tenant);
+  } else if (tenant) {
+    config.customer = tenant;
+  }
+
+  if (baseUrl) {
+    config.baseUrl = baseUrl;
+  }
+
+  if (maxAttempts !== undefined) {
+    config.maxAttempts = maxAttempts;
+  }
+
+  if (requestsPerSecond !== undefined) {
+    config.requestsPerSecond = requestsPerSecond;
+  }
+
+  await resolveCredentials(config, { tokenFile, tokenStdin });
+
+  return config;
+};
+
+const assertValidConfig = (configPath, config, options) => {
+  const { errors, warnings } = validateConfig(config, options);
+
+  warnings.forEach(warning => logger.warn(`Warning: ${warning}`));
+
+  if (errors.length > 0) {
+    const problems = errors.map(error => `  - ${error}`).join('\n');
+    throw new Error(`Invalid configuration in ${configPath} (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${problems}`);
+  }
+};
+
+const fileExists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+export const loadConfig = async (configPath, overrides = {}) => {
+  // A replayed run (--replay) works without a config file or credentials
+  const offline = Boolean(overrides.replay);
+  const config = offline && !await fileExists(configPath)
+    ? {}
+    : await readConfig(configPath, overrides);
+
+  assertValidConfig(configPath, config, { offline });
+
+  if (isMultiTenant(config)) {
+    const names = config.tenants.map(entry => entry.customer).join(', ');
+    throw new Error(`${configPath} lists ${config.tenants.length} tenants (${names}). Choose one with --tenant <name> or profile them all with \`cop-profiler collect-all\`.`);
+  }
+
+  return config;
+};
+
+/* Names of the tenants in a multi-tenant config (empty for a single-tenant one) */
+
+export const listTenants = async (configPath) => {
+  const config = await parseConfigFile(configPath);
+  if (!config || !isMultiTenant(config)) {
+    return [];
+  }
+
+  assertValidConfig(configPath, config);
+  return config.tenants.map(entry => entry.customer);
+};
@@ -0,0 +1,205 @@
+import { defaultBaseUrl, defaultEndpointPaths } from './endpoints.mjs';
+
+/*
+ *    Schema for config.json and the checks run against it at startup (and by `cop-profiler
+ *    validate-config`).  Every problem is collected so a broken config can be fixed in one pass instead
+ *    of one crash at a time.
+ *
+ *    Each setting has a type and optionally:
+ *
+ *      placeholders  {name} placeholders the template must contain
+ *      allowed       {name} placeholders the template may contain
+ *      min           lowest accepted number
+ *      unused        kept for compatibility; the profiler ignores it (reported as a warning when set)
+ *
+ *    A multi-tenant config is checked twice: the shared settings and the shape of "tenants" here, and
+ *    each tenant (its entry merged over the shared settings) once it has been picked.
+ */
+
+const urlTemplatePlaceholders = ['{customer}', '{offset}'];
+
+export const configSchema = {
+  customer: { type: 'string', description: 'tenant name, as in https://<customer>.polaris.synopsys.com' },
+  accesstoken: { type: 'string', description: 'Polaris access token (API key)' },
+  email: { type: 'string', description: 'login email, needed for both password and access-token authentication' },
+  password: { type: 'string', description: 'login password, alternative to accesstoken' },
+  concurrency: { type: 'integer', min: 1, description: 'projects whose role assignments are fetched in parallel' },
+  maxAttempts: { type: 'integer', min: 1, description: 'attempts per Polaris call on transient errors' },
+  requestsPerSecond: { type: 'number', min: 0, description: 'client-side rate limit, 0 for none' },
+  baseUrl: { type: 'urlTemplate', allowed: ['{customer}'], description: 'Polaris host all endpoint paths are joined to' },
+  authUrlTemplate: { type: 'urlTemplate', allowed: ['{customer}'] },
+  authUrlV2Template: { type: 'urlTemplate', allowed: ['{customer}'] },
+  setPropertyUrlTemplate: { type: 'urlTemplate', allowed: ['{customer}'] },
+  projectsUrlTemplate: { type: 'urlTemplate', allowed: ['{customer}'] },
+  branchesUrlTemplate: { type: 'urlTemplate', placeholders: ['{offset}'], allowed: ['{customer}'] },
+  applicationsUrlTemplate: { type: 'urlTemplate', allowed: ['{customer}'] },
+  roleAssignmentsUrlTemplate: { type: 'urlTemplate', allowed: ['{customer}'] },
+  usersUrlTemplate: { type: 'urlTemplate', allowed: ['{customer}'] },
+  branchesUrl: { type: 'urlTemplate', unused: true },
+  projectDetailsUrlTemplateBranch: { type: 'urlTemplate', unused: true },
+  userIdToAssign: { type: 'string', unused: true },
+  roleIdToAssign: { type: 'string', unused: true },
+  orgIdToAssign: { type: 'string', unused: true },
+  tenants: { type: 'tenants', description: 'tenants profiled by collect-all, each with its own customer and credentials' }
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const suggestKey = (key) => Object.keys(configSchema).find(known => known.toLowerCase() === key.toLowerCase());
+
+const checkNumber = (key, value, rule, errors) => {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    errors.push(`"${key}" must be a number (got ${JSON.stringify(value)}).`);
+    return;
+  }
+  if (rule.type === 'integer' && !Number.isInteger(value)) {
+    errors.push(`"${key}" must be a whole number (got ${value}).`);
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    errors.push(`"${key}" must be at least ${rule.min} (got ${value}).`);
+  }
+};
+
+//
+//  A URL template may be a full http(s) URL or a path below baseUrl.  Placeholders are filled with
+//  dummy values before parsing so only the shape of the URL is checked.
+//
+
+const checkUrlTemplate = (key, value, rule, { config, checkTenant }, errors) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push(`"${key}" must be a non-empty URL or path.`);
+    return;
+  }
+
+  const found = value.match(/\{[^}]*\}/g) || [];
+  const allowed = [...(rule.allowed || []), ...(rule.placeholders || [])];
+
+  found
+    .filter(placeholder => !allowed.includes(placeholder))
+    .forEach(placeholder => errors.push(`"${key}" contains ${placeholder}, which is not filled in here (allowed: ${allowed.join(', ') || 'none'}).`));
+
+  (rule.placeholders || [])
+    .filter(placeholder => !value.includes(placeholder))
+    .forEach(placeholder => errors.push(`"${key}" must contain the ${placeholder} placeholder (e.g. "${defaultEndpointPaths[key]}").`));
+
+  const sample = urlTemplatePlaceholders.reduce((url, placeholder) => url.split(placeholder).join('x'), value);
+  const isPath = sample.startsWith('/');
+
+  if (key === 'baseUrl' && isPath) {
+    errors.push(`"baseUrl" must be a full http(s) URL (got "${value}").`);
+    return;
+  }
+
+  try {
+    const base = isPath ? 'https://example.invalid' : undefined;
+    const parsed = new URL(sample, base);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      errors.push(`"${key}" must use http or https (got "${value}").`);
+    }
+  } catch (err) {
+    errors.push(`"${key}" is not a valid URL or path starting with "/" (got "${value}").`);
+  }
+
+  if (value.includes('{customer}') && isBlank(config.customer) && checkTenant) {
+    errors.push(`"${key}" uses {customer} but no "customer" is set (set it in the config or use --tenant).`);
+  }
+};
+
+const checkTenants = (value, errors) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push('"tenants" must be a non-empty list of tenant settings.');
+    return;
+  }
+
+  const seen = new Set();
+  value.forEach((entry, index) => {
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`"tenants[${index}]" must be an object.`);
+      return;
+    }
+    if (isBlank(entry.customer) || typeof entry.customer !== 'string') {
+      errors.push(`"tenants[${index}]" needs a "customer".`);
+      return;
+    }
+    if (!/^[A-Za-z0-9][A-Za-z0-9_.-]*$/.test(entry.customer)) {
+      errors.push(`"tenants[${index}]" customer "${entry.customer}" may only contain letters, digits, ".", "_" and "-" (it names the output folder).`);
+    }
+    if (entry.tenants !== undefined) {
+      errors.push(`"tenants[${index}]" (${entry.customer}) cannot list tenants of its own.`);
+    }
+    if (seen.has(entry.customer)) {
+      errors.push(`Tenant "${entry.customer}" is listed more than once under "tenants".`);
+    }
+    seen.add(entry.customer);
+  });
+};
+
+//
+//  offline: the config is used without contacting Polaris (--replay), so neither the tenant nor the
+//  credentials are required.
+//
+
+export const validateConfig = (config, { offline = false } = {}) => {
+  const errors = [];
+  const warnings = [];
+
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return { errors: ['The config must be a JSON object.'], warnings };
+  }
+
+  // Customer and credentials are checked per tenant in a multi-tenant config
+  const checkTenant = config.tenants === undefined && !offline;
+
+  Object.keys(config)
+    .filter(key => !configSchema[key])
+    .forEach(key => {
+      const suggestion = suggestKey(key);
+      errors.push(`Unknown setting "${key}".${suggestion ? ` Did you mean "${suggestion}"?` : ''}`);
+    });
+
+  Object.entries(configSchema).forEach(([key, rule]) => {
+    const value = config[key];
+
+    if (rule.unused) {
+      if (!isBlank(value)) {
+        warnings.push(`"${key}" is set but not used by the profiler.`);
+      }
+      return;
+    }
+
+    if (value === undefined) {
+      return;
+    }
+
+    if (rule.type === 'string' && typeof value !== 'string') {
+      errors.push(`"${key}" must be a string (got ${JSON.stringify(value)}).`);
+    } else if (rule.type === 'integer' || rule.type === 'number') {
+      checkNumber(key, value, rule, errors);
+    } else if (rule.type === 'urlTemplate') {
+      checkUrlTemplate(key, value, rule, { config, checkTenant }, errors);
+    } else if (rule.type === 'tenants') {
+      checkTenants(value, errors);
+    }
+  });
+
+  if (!checkTenant) {
+    return { errors, warnings };
+  }
+
+  if (config.baseUrl === undefined && defaultBaseUrl.includes('{customer}') && isBlank(config.customer)) {
+    errors.push('"customer" is required with the default baseUrl (set it in the config or use --tenant).');
+  }
+
+  const hasPassword = !isBlank(config.password);
+  const hasToken = !isBlank(config.accesstoken);
+
+  if (!hasPassword && !hasToken) {
+    errors.push('No credentials: set "accesstoken" or "password" (or POLARIS_ACCESS_TOKEN / POLARIS_PASSWORD, optionally suffixed with _<TENANT>, --token-file, --token-stdin).');
+  }
+
+  if ((hasPassword || hasToken) && isBlank(config.email)) {
+    errors.push(`"email" is required for ${hasPassword ? 'password' : 'access-token'} authentication (or set POLARIS_EMAIL).`);
+  }
+
+  return { errors, warnings };
+};
@@ -0,0 +1,90 @@
+/*
+ *    Effective access: for each project, every individual user who can reach it, and whether that is
+ *    through a role assigned to the user directly, through the groups they are a member of, or both.
+ *
+ *      Access        direct, group, or direct and group
+ *      Direct Roles  the roles assigned to the user on the project, separated by "; "
+ *      Via Groups    each group that gives access, with the role it holds there: "Developers (Contributor)"
+ */
+
+/* Columns of effectiveAccess.csv */
+
+export const effectiveAccessCsvHeader = [
+  { id: 'projectName', title: 'Project Name' },
+  { id: 'projectId', title: 'Project ID' },
+  { id: 'userId', title: 'User ID' },
+  { id: 'name', title: 'Name' },
+  { id: 'email', title: 'Email' },
+  { id: 'access', title: 'Access' },
+  { id: 'directRoles', title: 'Direct Roles' },
+  { id: 'viaGroups', title: 'Via Groups' }
+];
+
+const accessKinds = (direct, viaGroups) => [
+  ...(direct ? ['direct'] : []),
+  ...(viaGroups ? ['group'] : [])
+].join(' and ');
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+//
+//  details: userDetailsList.json; groupMembers: groupMembers.json (each group with its members).
+//
+//  Projects keep the order of the details and, within a project, users appear in the order they are first
+//  reached (direct assignments before groups).  Users are matched on their Polaris ID, or on the e-mail
+//  address (then the name) for output collected before IDs were recorded.  Groups that are assigned but
+//  missing from groupMembers are returned in `unexpandedGroups`; the access their members have is not known.
+//
+
+export const buildEffectiveAccess = (details, groupMembers) => {
+  const membersByGroup = new Map(groupMembers.map(group => [group.groupId, group.members]));
+  const unexpandedGroups = new Map();
+  const projects = new Map();
+
+  const userKey = (user) => user.userId || user.email || user.name;
+
+  const entryFor = (detail, user) => {
+    if (!projects.has(detail.projectId)) {
+      projects.set(detail.projectId, { projectName: detail.projectName, users: new Map() });
+    }
+    const { users } = projects.get(detail.projectId);
+    const key = userKey(user);
+
+    if (!users.has(key)) {
+      users.set(key, { ...user, directRoles: [], viaGroups: [], direct: false });
+    }
+    return users.get(key);
+  };
+
+  details.forEach(detail => {
+    if (detail.userType === 'User') {
+      const entry = entryFor(detail, { userId: detail.principalId || '', name: detail.name, email: detail.email || '' });
+      entry.direct = true;
+      entry.directRoles.push(detail.roleName);
+      return;
+    }
+
+    const members = membersByGroup.get(detail.principalId);
+    if (!members) {
+      unexpandedGroups.set(detail.principalId || detail.name, { groupId: detail.principalId || '', groupName: detail.name });
+      return;
+    }
+
+    members.forEach(member => {
+      entryFor(detail, member).viaGroups.push(detail.roleName ? `${detail.name} (${detail.roleName})` : detail.name);
+    });
+  });
+
+  const rows = [...projects.entries()].flatMap(([projectId, { projectName, users }]) => [...users.values()].map(user => ({
+    projectName,
+    projectId,
+    userId: user.userId,
+    name: user.name,
+    email: user.email,
+    access: accessKinds(user.direct, user.viaGroups.length > 0),
+    directRoles: unique(user.directRoles).join('; '),
+    viaGroups: unique(user.viaGroups).join('; ')
+  })));
+
+  return { rows, unexpandedGroups: [...unexpandedGroups.values()] };
+};
@@ -0,0 +1,42 @@
+/*
+ *    Polaris endpoint URLs.  Every endpoint is a path below `baseUrl`, so pointing the profiler at another
+ *    host (EU or dedicated instance, renamed domain, local mock server) only takes a different baseUrl in
+ *    config.json or --base-url on the command line.
+ *
+ *    The *UrlTemplate keys in config.json can still override a single endpoint, either with a path
+ *    (joined to baseUrl) or with a full URL (used as is, as in older configs).  {customer} is replaced
+ *    with the tenant name everywhere.
+ */
+
+export const defaultBaseUrl = 'https://{customer}.polaris.synopsys.com';
+
+export const defaultEndpointPaths = {
+  authUrlTemplate: '/api/auth/v1/authenticate',
+  authUrlV2Template: '/api/auth/v2/authenticate',
+  setPropertyUrlTemplate: '/api/common/async/v0/projects/batch/set-property',
+  projectsUrlTemplate: '/api/common/v0/projects',
+  branchesUrlTemplate: '/api/common/v0/branches?page%5Blimit%5D=500&page%5Boffset%5D={offset}',
+  applicationsUrlTemplate: '/api/common/v0/applications',
+  roleAssignmentsUrlTemplate: '/api/auth/v2/role-assignments',
+  usersUrlTemplate: '/api/auth/v2/users'
+};
+
+const isAbsoluteUrl = (template) => /^https?:\/\//i.test(template);
+
+export const resolveEndpoints = (config) => {
+  const baseUrl = (config.baseUrl || defaultBaseUrl).replace(/\/+$/, '');
+
+  if (baseUrl.includes('{customer}') && !config.customer) {
+    throw new Error(`baseUrl "${baseUrl}" needs a tenant: set "customer" in the config or use --tenant.`);
+  }
+
+  return Object.entries(defaultEndpointPaths).reduce((endpoints, [key, defaultPath]) => {
+    const template = config[key] || defaultPath;
+    const url = isAbsoluteUrl(template)
+      ? template
+      : `${baseUrl}${template.startsWith('/') ? '' : '/'}${template}`;
+
+    endpoints[key] = url.replace('{customer}', config.customer);
+    return endpoints;
+  }, {});
+};
@@ -0,0 +1,5 @@
+import { fileURLToPath } from 'url';
+
+/* True when the module at moduleUrl was started directly with `node <file>` rather than imported */
+
+export const isEntryPoint = (moduleUrl) => process.argv[1] === fileURLToPath(moduleUrl);
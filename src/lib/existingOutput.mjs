@@ -0,0 +1,128 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { askQuestion } from './prompt.mjs';
+import { logger } from './logger.mjs';
+
+/*
+ *    What to do when a collector's output file is already there:
+ *
+ *      prompt  ask on the terminal (the original behaviour)
+ *      force   delete the old files and fetch again
+ *      reuse   keep the existing JSON and skip the fetch
+ *      fail    stop with an error
+ *
+ *    Set with --force / --reuse-existing / --fail-if-exists or the COP_PROFILER_IF_EXISTS environment
+ *    variable.  Without either, a resumed run reuses what the interrupted run finished, and runs with no
+ *    terminal attached fail instead of waiting on stdin ('unattended': like fail, except for projectList.json,
+ *    see reuseUnlessChosen).
+ */
+
+export const existingFilePolicies = ['prompt', 'force', 'reuse', 'fail'];
+
+export const existingFilePolicyEnv = 'COP_PROFILER_IF_EXISTS';
+
+// error.code of the error thrown when the policy refuses to touch an existing file
+export const existingOutputErrorCode = 'EEXIST';
+
+export const resolveExistingFilePolicy = ({ force = false, reuseExisting = false, failIfExists = false, resume = false } = {}) => {
+  const selected = [
+    force && 'force',
+    reuseExisting && 'reuse',
+    failIfExists && 'fail'
+  ].filter(Boolean);
+
+  if (selected.length > 1) {
+    throw new Error('Only one of --force, --reuse-existing and --fail-if-exists can be given.');
+  }
+
+  if (selected.length === 1) {
+    return selected[0];
+  }
+
+  const fromEnv = process.env[existingFilePolicyEnv];
+  if (fromEnv) {
+    const policy = fromEnv.trim().toLowerCase();
+    if (!existingFilePolicies.includes(policy)) {
+      throw new Error(`${existingFilePolicyEnv} must be one of ${existingFilePolicies.join(', ')} (got "${fromEnv}").`);
+    }
+    return policy;
+  }
+
+  if (resume) {
+    return 'reuse';
+  }
+
+  return process.stdin.isTTY ? 'prompt' : 'unattended';
+};
+
+//
+//  projectList.json has always been reused without asking.  The policies nobody chose (prompt, and
+//  unattended when there is no terminal) keep doing so; an explicit one is applied as given.
+//
+
+export const reuseUnlessChosen = (policy) => ['prompt', 'unattended'].includes(policy) ? 'reuse' : policy;
+
+const fileExists = async (filePath) => {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+    return false;
+  }
+};
+
+/*
+ *    Apply the policy to a collector's output files.  The first path is the JSON the collector can be
+ *    reused from; the others (CSV) are regenerated whenever it fetches.  Returns 'fetch', 'reuse' or
+ *    'abort'.
+ */
+
+export const resolveExistingOutput = async (filePaths, policy) => {
+  const existing = [];
+  for (const filePath of filePaths) {
+    if (await fileExists(filePath)) {
+      existing.push(filePath);
+    }
+  }
+
+  if (existing.length === 0) {
+    return 'fetch';
+  }
+
+  const names = existing.map(filePath => path.basename(filePath)).join(', ');
+  let action = policy;
+
+  if (policy === 'prompt') {
+    const answer = (await askQuestion(`${names} already exists. Do you want to delete it? [ yes | no | reuse ]: `)).toLowerCase();
+    if (['yes', 'y'].includes(answer)) {
+      action = 'force';
+    } else if (['reuse', 'r'].includes(answer)) {
+      action = 'reuse';
+    } else {
+      logger.info('Exiting script without making changes.');
+      return 'abort';
+    }
+  }
+
+  if (action === 'fail' || action === 'unattended') {
+    throw Object.assign(new Error(`${names} already exists. Use --force to replace it or --reuse-existing to keep it.`), { code: existingOutputErrorCode });
+  }
+
+  if (action === 'reuse') {
+    if (existing.includes(filePaths[0])) {
+      logger.info(`Reusing existing ${path.basename(filePaths[0])}.`);
+      return 'reuse';
+    }
+    logger.info(`${path.basename(filePaths[0])} does not exist, nothing to reuse. Fetching again.`);
+  }
+
+  for (const filePath of existing) {
+    await fs.unlink(filePath);
+    logger.info(`Existing ${path.basename(filePath)} file deleted.`);
+  }
+
+  return 'fetch';
+};
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { redactText } from './redact.mjs';
+import { toolVersion } from './runManifest.mjs';
+
+/*
+ *    Fixture bundles: the raw Polaris responses of a run, saved with --record and played back with
+ *    --replay so a customer's report can be reproduced offline, without their credentials.
+ *
+ *    A bundle is a JSON-lines file.  The first line describes the recording (tool version, time and the
+ *    endpoint paths in use); every following line is one successful API call:
+ *
+ *      {"type":"bundle","format":1,"toolVersion":"1.0.0","recordedAt":"...","endpoints":{...}}
+ *      {"type":"response","method":"GET","path":"/api/common/v0/projects?page[limit]=500&page[offset]=0","status":200,"data":{...}}
+ *
+ *    Bundles are sanitized as they are written: authentication calls are never recorded, the tenant host
+ *    is dropped from every URL, JWTs and credential fields are masked, and e-mail addresses and user
+ *    names are replaced by pseudonyms (the same person always gets the same pseudonym, so the data keeps
+ *    its shape).  Project, application, branch, group and role names are kept as they are.
+ */
+
+export const bundleFormat = 1;
+
+const replayOrigin = 'https://replay.invalid';
+
+const emailPattern = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+
+const pseudonym = (value) => `user-${crypto.createHash('sha256').update(value.toLowerCase()).digest('hex').slice(0, 8)}`;
+
+const relativeUrl = (url) => {
+  const { pathname, search } = new URL(url);
+  return decodeURIComponent(`${pathname}${search}`);
+};
+
+const sanitizeValue = (value, origin) => {
+  if (typeof value === 'string') {
+    return redactText(value.split(origin).join(''))
+      .replace(emailPattern, email => `${pseudonym(email)}@example.invalid`);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => sanitizeValue(item, origin));
+  }
+
+  if (value && typeof value === 'object') {
+    const sanitized = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, sanitizeValue(item, origin)]));
+
+    // A user's name and username identify a person as much as the e-mail address does
+    if (value.type === 'users' && value.attributes) {
+      ['name', 'username'].forEach(field => {
+        if (typeof value.attributes[field] === 'string') {
+          sanitized.attributes[field] = pseudonym(value.attributes[field]);
+        }
+      });
+    }
+
+    return sanitized;
+  }
+
+  return value;
+};
+
+//
+//  Start a new bundle at bundlePath (replacing any earlier one).  record() is called by the Polaris client
+//  with every successful authenticated call.
+//
+
+export const createRecorder = (bundlePath, endpoints) => {
+  const write = (entry) => fs.appendFileSync(bundlePath, `${JSON.stringify(entry)}\n`, 'utf8');
+
+  fs.writeFileSync(bundlePath, '', 'utf8');
+  write({
+    type: 'bundle',
+    format: bundleFormat,
+    toolVersion,
+    recordedAt: new Date().toISOString(),
+    endpoints: Object.fromEntries(Object.entries(endpoints).map(([key, url]) => [key, relativeUrl(url)]))
+  });
+
+  const record = (requestConfig, response) => {
+    const { origin } = new URL(requestConfig.url);
+    write({
+      type: 'response',
+      method: requestConfig.method.toUpperCase(),
+      path: relativeUrl(requestConfig.url),
+      status: response.status,
+      data: sanitizeValue(response.data, origin)
+    });
+  };
+
+  return { record };
+};
+
+//
+//  Load a bundle for replay.  respond() stands in for axios: it answers a request with the recorded
+//  response or fails the way a 404 from the server would, naming the call that is missing.
+//
+
+export const loadReplay = (bundlePath) => {
+  let lines;
+  try {
+    lines = fs.readFileSync(bundlePath, 'utf8').split('\n').filter(line => line.trim() !== '');
+  } catch (error) {
+    throw new Error(`Cannot read fixture bundle ${bundlePath}: ${error.message}`);
+  }
+
+  const entries = lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Fixture bundle ${bundlePath} is damaged at line ${index + 1}.`);
+    }
+  });
+
+  const [header, ...recorded] = entries;
+  if (!header || header.type !== 'bundle' || header.format !== bundleFormat) {
+    throw new Error(`${bundlePath} is not a fixture bundle recorded with --record.`);
+  }
+
+  const responses = new Map(recorded.map(entry => [`${entry.method} ${entry.path}`, entry]));
+
+  const endpoints = Object.fromEntries(Object.entries(header.endpoints).map(([key, path]) => [key, `${replayOrigin}${path}`]));
+
+  const respond = async (requestConfig) => {
+    const key = `${requestConfig.method.toUpperCase()} ${relativeUrl(requestConfig.url)}`;
+    const entry = responses.get(key);
+
+    if (!entry) {
+      const error = new Error(`No recorded response for ${key} in ${bundlePath}`);
+      error.code = 'ERR_NOT_RECORDED';
+      error.response = { status: 404, statusText: 'Not recorded', headers: {}, data: {} };
+      throw error;
+    }
+
+    return { status: entry.status, statusText: 'OK', headers: {}, data: entry.data, config: requestConfig };
+  };
+
+  return { header, endpoints, respond };
+};
@@ -0,0 +1,90 @@
+import { mapWithConcurrency } from './workerPool.mjs';
+import { logger } from './logger.mjs';
+
+/*
+ *    Collect the members of every group that holds a role on a project, so access granted through a group
+ *    can be traced to the individual users (see effectiveAccess.mjs).
+ */
+
+/* Columns of groupMembers.csv */
+
+export const groupMembersCsvHeader = [
+  { id: 'groupId', title: 'Group ID' },
+  { id: 'groupName', title: 'Group Name' },
+  { id: 'userId', title: 'User ID' },
+  { id: 'name', title: 'Name' },
+  { id: 'email', title: 'Email' }
+];
+
+//
+//  The groups assigned in userDetailsList.json, once each and in the order they first appear.  Output
+//  collected before principal IDs were recorded has no group IDs to look the members up by, so those
+//  groups are left out.
+//
+
+export const assignedGroups = (details) => [...details
+  .filter(detail => detail.userType === 'GroupName' && detail.principalId)
+  .reduce((groups, detail) => groups.has(detail.principalId)
+    ? groups
+    : groups.set(detail.principalId, { groupId: detail.principalId, groupName: detail.name }), new Map())
+  .values()];
+
+/* One row per group and member, for groupMembers.csv */
+
+export const groupMemberRows = (groupMembers) => groupMembers.flatMap(group => group.members.map(member => ({
+  groupId: group.groupId,
+  groupName: group.groupName,
+  ...member
+})));
+
+//
+//  One request (or more, for large groups) per group, `concurrency` groups at a time.  With a checkpoint,
+//  groups recorded by an earlier (interrupted) run are skipped and every newly finished group is recorded.
+//  Results always come back in the order of `groups`.
+//
+//  A group whose members cannot be fetched does not stop the others: it is left out of `groupMembers` (and
+//  of the checkpoint, so a resumed run tries it again) and returned in `failures`.
+//
+
+export const collectGroupMembers = async (client, groups, { checkpoint, concurrency = 1 } = {}) => {
+  const membersByGroup = new Map();
+  const failures = [];
+
+  if (checkpoint) {
+    checkpoint.entries.forEach(entry => membersByGroup.set(entry.groupId, entry.members));
+  }
+
+  const pendingGroups = groups.filter(group => !membersByGroup.has(group.groupId));
+
+  await mapWithConcurrency(pendingGroups, concurrency, async (group) => {
+    logger.debug(`Fetching members of group ${group.groupName} (ID: ${group.groupId})...`);
+
+    let users;
+    try {
+      users = await client.listGroupMembers(group.groupId);
+    } catch (error) {
+      failures.push({ group, error });
+      return;
+    }
+
+    const members = users.map(user => ({
+      userId: user.id,
+      name: user.attributes?.name ?? '',
+      email: user.attributes?.email ?? ''
+    }));
+
+    membersByGroup.set(group.groupId, members);
+    if (checkpoint) {
+      await checkpoint.append({ groupId: group.groupId, members });
+    }
+  });
+
+  return {
+    groupMembers: groups
+      .filter(group => membersByGroup.has(group.groupId))
+      .map(group => ({ ...group, members: membersByGroup.get(group.groupId) })),
+    failures: groups
+      .map(group => failures.find(failure => failure.group === group))
+      .filter(Boolean)
+  };
+};
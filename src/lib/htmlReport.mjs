@@ -0,0 +1,362 @@
+import fs from 'fs/promises';
+import { countDistinct } from './relationalExport.mjs';
+
+/*
+ *    Migration dashboard: a single HTML file that works offline (no scripts, styles or fonts from the
+ *    network) for handing to customer stakeholders.  It shows the totals as tiles, charts of projects per
+ *    application and branches per project, a drill-down into each application, and sortable, filterable
+ *    tables of applications, projects, users and groups.
+ *
+ *    The data is embedded as JSON and rendered by the page itself with textContent, so names from Polaris
+ *    are never interpreted as HTML.
+ */
+
+const noApplicationName = 'No Application Name';
+
+/* The dashboard model, built from the normalized tables of relationalExport.mjs */
+
+export const buildDashboardData = (tables, { manifest } = {}) => {
+  const applicationIdsByProject = tables.application_projects.reduce((map, { applicationId, projectId }) =>
+    map.set(projectId, [...(map.get(projectId) || []), applicationId]), new Map());
+  const usersById = new Map(tables.users.map(user => [user.userId, user]));
+  const groupsById = new Map(tables.groups.map(group => [group.groupId, group]));
+  const roleNames = new Map(tables.roles.map(role => [role.roleId, role.name]));
+
+  const projects = new Map(tables.projects.map(project => [project.projectId, {
+    id: project.projectId,
+    name: project.name,
+    applications: applicationIdsByProject.get(project.projectId) || [],
+    branches: [],
+    mainBranch: '',
+    users: [],
+    groups: []
+  }]));
+
+  tables.branches.forEach(branch => {
+    const project = projects.get(branch.projectId);
+    if (project) {
+      project.branches.push(branch.name);
+      if (branch.isMain) {
+        project.mainBranch = branch.name;
+      }
+    }
+  });
+
+  // One entry per user or group on a project, with every role it holds there: "Alice (Admin, Contributor)"
+  const principalRoles = new Map();
+  tables.project_principals.forEach(({ projectId, principalType, principalId, roleId }) => {
+    if (!projects.has(projectId)) {
+      return;
+    }
+    const key = JSON.stringify([projectId, principalType, principalId]);
+    if (!principalRoles.has(key)) {
+      principalRoles.set(key, { projectId, principalType, principalId, roles: [] });
+    }
+    if (roleNames.has(roleId)) {
+      principalRoles.get(key).roles.push(roleNames.get(roleId));
+    }
+  });
+
+  principalRoles.forEach(({ projectId, principalType, principalId, roles }) => {
+    const project = projects.get(projectId);
+    const role = roles.length ? ` (${roles.join(', ')})` : '';
+    if (principalType === 'user') {
+      const user = usersById.get(principalId);
+      project.users.push(`${user ? user.name || user.email : principalId}${role}`);
+    } else {
+      project.groups.push(`${groupsById.get(principalId)?.name || principalId}${role}`);
+    }
+  });
+
+  const projectCounts = countDistinct(tables.project_principals, 'principalId', 'projectId');
+
+  return {
+    tenant: manifest?.tenant ?? '',
+    collectedAt: manifest?.finishedAt ?? '',
+    complete: manifest ? manifest.complete : undefined,
+    generatedAt: new Date().toISOString(),
+    totals: {
+      applications: tables.applications.length,
+      projects: tables.projects.length,
+      branches: tables.branches.length,
+      users: tables.users.length,
+      groups: tables.groups.length
+    },
+    applications: tables.applications.map(application => ({
+      id: application.applicationId,
+      name: application.name,
+      description: application.description
+    })),
+    noApplicationName,
+    projects: [...projects.values()],
+    users: tables.users.map(user => ({ id: user.userId, name: user.name, email: user.email, projects: projectCounts.get(user.userId) || 0 })),
+    groups: tables.groups.map(group => ({ id: group.groupId, name: group.name, projects: projectCounts.get(group.groupId) || 0 }))
+  };
+};
+
+/* JSON that can sit inside a <script> element without ending it */
+
+const embeddedJson = (value) => JSON.stringify(value)
+  .replace(/</g, '\\u003c')
+  .replace(/\u2028/g, '\\u2028')
+  .replace(/\u2029/g, '\\u2029');
+
+const styles = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; color: #1f2933; background: #f5f7fa; }
+  header { background: #1f2933; color: #fff; padding: 16px 24px; }
+  header h1 { margin: 0; font-size: 20px; }
+  header p { margin: 4px 0 0; font-size: 13px; color: #cbd2d9; }
+  main { padding: 16px 24px; }
+  section { background: #fff; border-radius: 6px; padding: 16px; margin-bottom: 16px; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+  h2 { margin: 0 0 12px; font-size: 16px; }
+  .tiles { display: flex; flex-wrap: wrap; gap: 12px; background: none; box-shadow: none; padding: 0; }
+  .tile { flex: 1 1 140px; background: #fff; border-radius: 6px; padding: 12px 16px; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+  .tile .value { font-size: 28px; font-weight: 600; }
+  .tile .label { font-size: 13px; color: #616e7c; }
+  .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 16px; }
+  .bar-label { font-size: 11px; fill: #3e4c59; }
+  .bar { fill: #3e7bfa; }
+  .bar-value { font-size: 11px; fill: #1f2933; }
+  input[type=search], select { padding: 6px 8px; font-size: 13px; border: 1px solid #cbd2d9; border-radius: 4px; min-width: 260px; margin-bottom: 8px; }
+  .table-wrap { max-height: 480px; overflow: auto; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e4e7eb; vertical-align: top; }
+  th { position: sticky; top: 0; background: #f5f7fa; cursor: pointer; user-select: none; white-space: nowrap; }
+  th.sorted-asc::after { content: " \\25B2"; }
+  th.sorted-desc::after { content: " \\25BC"; }
+  tr.clickable { cursor: pointer; }
+  tr.clickable:hover { background: #f0f4ff; }
+  .count { color: #616e7c; font-size: 12px; margin-left: 8px; }
+  .muted { color: #9aa5b1; }
+`;
+
+//
+//  The page script.  Kept to plain DOM calls so the file opens in any browser without a network.
+//
+
+const script = `
+const data = JSON.parse(document.getElementById('report-data').textContent);
+
+const el = (tag, attributes = {}, ...children) => {
+  const element = document.createElement(tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  children.flat().forEach(child => element.append(child instanceof Node ? child : document.createTextNode(String(child ?? ''))));
+  return element;
+};
+
+const svg = (tag, attributes = {}, text) => {
+  const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  if (text !== undefined) element.textContent = text;
+  return element;
+};
+
+const applicationNames = new Map(data.applications.map(application => [application.id, application.name]));
+const applicationsOf = (project) => project.applications.length
+  ? project.applications.map(id => applicationNames.get(id) || id).join('; ')
+  : data.noApplicationName;
+
+/* Summary */
+
+document.getElementById('subtitle').textContent = [
+  data.tenant && 'Tenant ' + data.tenant,
+  data.collectedAt && 'collected ' + data.collectedAt,
+  data.complete === false && 'collection incomplete, see run-manifest.json',
+  'report created ' + data.generatedAt
+].filter(Boolean).join(' \\u00b7 ');
+
+const tiles = document.getElementById('tiles');
+Object.entries(data.totals).forEach(([label, value]) => {
+  tiles.append(el('div', { class: 'tile' },
+    el('div', { class: 'value' }, value.toLocaleString()),
+    el('div', { class: 'label' }, label[0].toUpperCase() + label.slice(1))));
+});
+
+/* Horizontal bar chart of the largest values */
+
+const barChart = (container, title, items, limit = 20) => {
+  const shown = [...items].sort((a, b) => b.value - a.value).slice(0, limit);
+  const max = Math.max(1, ...shown.map(item => item.value));
+  const rowHeight = 18;
+  const labelWidth = 180;
+  const width = 560;
+  const chart = svg('svg', { viewBox: '0 0 ' + width + ' ' + (shown.length * rowHeight + 4), width: '100%', role: 'img', 'aria-label': title });
+
+  shown.forEach((item, index) => {
+    const y = index * rowHeight + 2;
+    const barWidth = (width - labelWidth - 48) * item.value / max;
+    // A name can be null in the collected data
+    const text = String(item.label ?? '');
+    const label = svg('text', { x: labelWidth - 6, y: y + 12, 'text-anchor': 'end', class: 'bar-label' }, text.length > 28 ? text.slice(0, 27) + '\\u2026' : text);
+    label.append(svg('title', {}, text));
+    chart.append(label);
+    chart.append(svg('rect', { x: labelWidth, y, width: Math.max(1, barWidth), height: rowHeight - 4, class: 'bar' }));
+    chart.append(svg('text', { x: labelWidth + barWidth + 4, y: y + 12, class: 'bar-value' }, item.value));
+  });
+
+  container.append(el('h2', {}, title, el('span', { class: 'count' }, items.length > limit ? 'top ' + limit + ' of ' + items.length : '')));
+  container.append(shown.length ? chart : el('p', { class: 'muted' }, 'Nothing collected.'));
+};
+
+const projectsPerApplication = new Map();
+data.projects.forEach(project => {
+  (project.applications.length ? project.applications : ['-']).forEach(id => {
+    projectsPerApplication.set(id, (projectsPerApplication.get(id) || 0) + 1);
+  });
+});
+
+barChart(document.getElementById('chart-applications'), 'Projects per application',
+  [...projectsPerApplication].map(([id, value]) => ({ label: id === '-' ? data.noApplicationName : applicationNames.get(id) || id, value })));
+barChart(document.getElementById('chart-branches'), 'Branches per project',
+  data.projects.map(project => ({ label: project.name, value: project.branches.length })));
+
+/* Sortable, filterable table */
+
+const renderTable = (container, title, columns, rows, { onRowClick } = {}) => {
+  let sortColumn;
+  let sortDirection = 1;
+  const filter = el('input', { type: 'search', placeholder: 'Filter ' + title.toLowerCase() + '\\u2026' });
+  const count = el('span', { class: 'count' });
+  const headerRow = el('tr', {}, columns.map(column => el('th', {}, column.header)));
+  const body = el('tbody');
+
+  const render = () => {
+    const text = filter.value.trim().toLowerCase();
+    const shown = text
+      ? rows.filter(row => columns.some(column => String(column.value(row)).toLowerCase().includes(text)))
+      : [...rows];
+
+    if (sortColumn) {
+      shown.sort((a, b) => {
+        const x = sortColumn.value(a);
+        const y = sortColumn.value(b);
+        return (typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y))) * sortDirection;
+      });
+    }
+
+    body.replaceChildren(...shown.map(row => {
+      const tr = el('tr', onRowClick ? { class: 'clickable' } : {}, columns.map(column => el('td', {}, column.value(row))));
+      if (onRowClick) tr.addEventListener('click', () => onRowClick(row));
+      return tr;
+    }));
+    count.textContent = shown.length === rows.length ? rows.length + ' rows' : shown.length + ' of ' + rows.length + ' rows';
+  };
+
+  [...headerRow.children].forEach((th, index) => th.addEventListener('click', () => {
+    sortDirection = sortColumn === columns[index] ? -sortDirection : 1;
+    sortColumn = columns[index];
+    [...headerRow.children].forEach(other => other.classList.remove('sorted-asc', 'sorted-desc'));
+    th.classList.add(sortDirection === 1 ? 'sorted-asc' : 'sorted-desc');
+    render();
+  }));
+  filter.addEventListener('input', render);
+
+  container.replaceChildren(
+    el('h2', {}, title, count),
+    filter,
+    el('div', { class: 'table-wrap' }, el('table', {}, el('thead', {}, headerRow), body))
+  );
+  render();
+};
+
+/* Application drill-down */
+
+const drillDown = document.getElementById('drill-down');
+const applicationSelect = el('select', {}, el('option', { value: '' }, 'Choose an application\\u2026'),
+  [...data.applications].sort((a, b) => String(a.name).localeCompare(String(b.name))).map(application => el('option', { value: application.id }, application.name)),
+  el('option', { value: '-' }, data.noApplicationName));
+const applicationDetails = el('div');
+
+const showApplication = (applicationId) => {
+  applicationSelect.value = applicationId;
+  if (!applicationId) {
+    applicationDetails.replaceChildren();
+    return;
+  }
+
+  const application = data.applications.find(candidate => candidate.id === applicationId);
+  const projects = data.projects.filter(project => applicationId === '-' ? project.applications.length === 0 : project.applications.includes(applicationId));
+  const table = el('div');
+
+  applicationDetails.replaceChildren(
+    el('p', {}, application ? application.description || '' : 'Projects that do not belong to an application.'),
+    table
+  );
+  renderTable(table, 'Projects of ' + (application ? application.name : data.noApplicationName), [
+    { header: 'Project', value: project => project.name },
+    { header: 'Main branch', value: project => project.mainBranch },
+    { header: 'Branches', value: project => project.branches.join(', ') },
+    { header: 'Users', value: project => project.users.join(', ') },
+    { header: 'Groups', value: project => project.groups.join(', ') }
+  ], projects);
+  drillDown.scrollIntoView({ behavior: 'smooth' });
+};
+
+applicationSelect.addEventListener('change', () => showApplication(applicationSelect.value));
+drillDown.append(el('h2', {}, 'Application drill-down'), applicationSelect, applicationDetails);
+
+/* Tables */
+
+renderTable(document.getElementById('table-applications'), 'Applications', [
+  { header: 'Application', value: application => application.name },
+  { header: 'Projects', value: application => projectsPerApplication.get(application.id) || 0 },
+  { header: 'Description', value: application => application.description || '' }
+], data.applications, { onRowClick: application => showApplication(application.id) });
+
+renderTable(document.getElementById('table-projects'), 'Projects', [
+  { header: 'Application', value: applicationsOf },
+  { header: 'Project', value: project => project.name },
+  { header: 'Main branch', value: project => project.mainBranch },
+  { header: 'Branches', value: project => project.branches.length },
+  { header: 'Users', value: project => project.users.length },
+  { header: 'Groups', value: project => project.groups.length }
+], data.projects);
+
+renderTable(document.getElementById('table-users'), 'Users', [
+  { header: 'Name', value: user => user.name },
+  { header: 'Email', value: user => user.email || '' },
+  { header: 'Projects', value: user => user.projects }
+], data.users);
+
+renderTable(document.getElementById('table-groups'), 'Groups', [
+  { header: 'Group', value: group => group.name },
+  { header: 'Projects', value: group => group.projects }
+], data.groups);
+`;
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[character]);
+
+export const renderDashboard = (dashboardData) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(`Polaris migration profile${dashboardData.tenant ? ` – ${dashboardData.tenant}` : ''}`)}</title>
+<style>${styles}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(`Polaris migration profile${dashboardData.tenant ? ` – ${dashboardData.tenant}` : ''}`)}</h1>
+  <p id="subtitle"></p>
+</header>
+<main>
+  <section class="tiles" id="tiles"></section>
+  <div class="charts">
+    <section id="chart-applications"></section>
+    <section id="chart-branches"></section>
+  </div>
+  <section id="drill-down"></section>
+  <section id="table-applications"></section>
+  <section id="table-projects"></section>
+  <section id="table-users"></section>
+  <section id="table-groups"></section>
+</main>
+<script type="application/json" id="report-data">${embeddedJson(dashboardData)}</script>
+<script>${script}</script>
+</body>
+</html>
+`;
+
+export const writeDashboard = async (filePath, tables, options) => {
+  await fs.writeFile(filePath, renderDashboard(buildDashboardData(tables, options)), 'utf8');
+};
@@ -0,0 +1,72 @@
+import fs from 'fs';
+import util from 'util';
+import { redactText } from './redact.mjs';
+
+/*
+ *    Leveled logging for the profiler.  Messages go to the console when their level is enabled
+ *    (--quiet shows only warnings and errors, --verbose adds debug output such as every page fetched),
+ *    and, when a log file is configured (--log-file), every message and every Polaris request is also
+ *    appended to it as one JSON object per line, whatever the console level.  Secrets are masked in
+ *    both places.
+ *
+ *      {"time":"...","level":"info","message":"Project list has been saved to projectList.json"}
+ *      {"time":"...","level":"debug","event":"request","method":"GET","url":"...","status":200,"durationMs":84,"attempt":1}
+ */
+
+export const logLevels = ['error', 'warn', 'info', 'debug'];
+
+const consoleMethods = { error: 'error', warn: 'warn', info: 'log', debug: 'log' };
+
+let threshold = 'info';
+let logFile;
+
+export const configureLogger = ({ level = 'info', logFile: file } = {}) => {
+  if (!logLevels.includes(level)) {
+    throw new Error(`Unknown log level "${level}" (use ${logLevels.join(', ')}).`);
+  }
+
+  threshold = level;
+  logFile = file;
+
+  if (logFile) {
+    fs.writeFileSync(logFile, '', { flag: 'a' });
+  }
+};
+
+export const isLevelEnabled = (level) => logLevels.indexOf(level) <= logLevels.indexOf(threshold);
+
+const writeRecord = (record) => {
+  if (!logFile) {
+    return;
+  }
+  const line = redactText(JSON.stringify({ time: new Date().toISOString(), ...record }));
+  fs.appendFileSync(logFile, `${line}\n`, 'utf8');
+};
+
+const log = (level, args) => {
+  const message = redactText(util.format(...args));
+
+  if (isLevelEnabled(level)) {
+    console[consoleMethods[level]](message);
+  }
+
+  writeRecord({ level, message });
+};
+
+export const logger = {
+  error: (...args) => log('error', args),
+  warn: (...args) => log('warn', args),
+  info: (...args) => log('info', args),
+  debug: (...args) => log('debug', args),
+
+  /* One Polaris call (a single attempt): method, url, status or error code, durationMs, attempt */
+  request: ({ method, url, status, code, durationMs, attempt }) => {
+    const outcome = status !== undefined ? status : code;
+
+    if (isLevelEnabled('debug')) {
+      console.log(redactText(`${method} ${url} -> ${outcome} (${durationMs} ms)`));
+    }
+
+    writeRecord({ level: 'debug', event: 'request', method, url, status, code, durationMs, attempt });
+  }
+};
@@ -0,0 +1,194 @@
+import fs from 'fs/promises';
+import { countBy, countDistinct } from './relationalExport.mjs';
+
+/*
+ *    Executive summary of the environment in Markdown, for migration kickoffs: totals, the largest
+ *    applications, projects without an application or without users, the largest groups, how branches
+ *    are spread over projects, and data-quality warnings.  Plain headings, lists and tables only, so it
+ *    reads well on GitHub and converts cleanly to PDF (e.g. `pandoc executiveSummary.md -o summary.pdf`).
+ */
+
+const topCount = 10;
+const listLimit = 25;
+
+const branchBuckets = [
+  { label: '0', min: 0, max: 0 },
+  { label: '1', min: 1, max: 1 },
+  { label: '2–5', min: 2, max: 5 },
+  { label: '6–10', min: 6, max: 10 },
+  { label: '11–25', min: 11, max: 25 },
+  { label: '26–50', min: 26, max: 50 },
+  { label: '51–100', min: 51, max: 100 },
+  { label: 'more than 100', min: 101, max: Infinity }
+];
+
+/* Names come from Polaris; keep them from being read as Markdown */
+
+const escape = (text) => String(text ?? '').replace(/[\\`*_[\]<>|#]/g, character => `\\${character}`);
+
+const plural = (count, singular, pluralForm = `${singular}s`) => `${count.toLocaleString('en-US')} ${count === 1 ? singular : pluralForm}`;
+
+const percent = (part, whole) => whole === 0 ? '0%' : `${Math.round(part * 100 / whole)}%`;
+
+const table = (headers, rows) => [
+  `| ${headers.join(' | ')} |`,
+  `| ${headers.map((header, index) => index === 0 ? '---' : '---:').join(' | ')} |`,
+  ...rows.map(row => `| ${row.join(' | ')} |`)
+].join('\n');
+
+/* Up to listLimit names as a bullet list, with the rest counted */
+
+const nameList = (names) => [
+  ...names.slice(0, listLimit).map(name => `- ${escape(name)}`),
+  ...(names.length > listLimit ? [`- … and ${names.length - listLimit} more`] : [])
+].join('\n');
+
+const median = (values) => {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+//
+//  Every check that found something adds a line; an empty list means the data looks consistent.
+//
+
+const dataQualityWarnings = (tables, manifest) => {
+  const projectIds = new Set(tables.projects.map(project => project.projectId));
+  const projectsWithBranches = new Set(tables.branches.map(branch => branch.projectId));
+  const projectsWithMainBranch = new Set(tables.branches.filter(branch => branch.isMain).map(branch => branch.projectId));
+  const applicationsWithProjects = new Set(tables.application_projects.map(link => link.applicationId));
+  const nameCounts = countBy(tables.projects, 'name');
+
+  const warnings = [];
+  const warn = (count, message) => {
+    if (count > 0) {
+      warnings.push(message);
+    }
+  };
+
+  if (!manifest) {
+    warnings.push('No run-manifest.json was found, so it is not known whether the collection was complete.');
+  } else if (!manifest.complete) {
+    const unfinished = Object.entries(manifest.stages)
+      .filter(([, status]) => status !== 'ok' && status !== 'reused')
+      .map(([stage, status]) => `${stage} ${status}`);
+    warnings.push(`The collection was incomplete (${plural(manifest.failures.length, 'failure')}${unfinished.length ? `; ${unfinished.join(', ')}` : ''}). See run-manifest.json.`);
+  }
+
+  const withoutBranches = tables.projects.filter(project => !projectsWithBranches.has(project.projectId)).length;
+  warn(withoutBranches, `${plural(withoutBranches, 'project has', 'projects have')} no branches.`);
+
+  const withoutMainBranch = tables.projects.filter(project => projectsWithBranches.has(project.projectId) && !projectsWithMainBranch.has(project.projectId)).length;
+  warn(withoutMainBranch, `${plural(withoutMainBranch, 'project has', 'projects have')} branches but no main branch.`);
+
+  const emptyApplications = tables.applications.filter(application => !applicationsWithProjects.has(application.applicationId)).length;
+  warn(emptyApplications, `${plural(emptyApplications, 'application has', 'applications have')} no projects.`);
+
+  const danglingProjects = new Set([
+    ...tables.application_projects.map(link => link.projectId),
+    ...tables.branches.map(branch => branch.projectId),
+    ...tables.project_principals.map(principal => principal.projectId)
+  ].filter(projectId => !projectIds.has(projectId))).size;
+  warn(danglingProjects, `${plural(danglingProjects, 'project is', 'projects are')} referred to by applications, branches or role assignments but not in the project list.`);
+
+  const duplicateNames = [...nameCounts.values()].filter(count => count > 1).length;
+  warn(duplicateNames, `${plural(duplicateNames, 'project name is', 'project names are')} used by more than one project.`);
+
+  const usersWithoutEmail = tables.users.filter(user => !user.email).length;
+  warn(usersWithoutEmail, `${plural(usersWithoutEmail, 'user has', 'users have')} no e-mail address.`);
+
+  const derivedIds = tables.project_principals.filter(principal => principal.principalId.startsWith(`${principal.principalType}:`)).length;
+  warn(derivedIds, `${plural(derivedIds, 'role assignment was', 'role assignments were')} collected without Polaris user or group IDs; collect again for exact IDs.`);
+
+  return warnings;
+};
+
+export const buildSummaryMarkdown = (tables, { manifest } = {}) => {
+  const projectNames = new Map(tables.projects.map(project => [project.projectId, project.name]));
+  const projectsPerApplication = countBy(tables.application_projects.filter(link => projectNames.has(link.projectId)), 'applicationId');
+  const projectsWithApplication = new Set(tables.application_projects.map(link => link.projectId));
+  const branchesPerProject = countBy(tables.branches, 'projectId');
+  const users = tables.project_principals.filter(principal => principal.principalType === 'user');
+  const groups = tables.project_principals.filter(principal => principal.principalType === 'group');
+  const projectsWithUsers = new Set(users.map(principal => principal.projectId));
+  const projectsWithGroups = new Set(groups.map(principal => principal.projectId));
+  const projectsPerGroup = countDistinct(groups, 'principalId', 'projectId');
+
+  const branchCounts = tables.projects.map(project => branchesPerProject.get(project.projectId) || 0);
+  const withoutApplication = tables.projects.filter(project => !projectsWithApplication.has(project.projectId));
+  const withoutUsers = tables.projects.filter(project => !projectsWithUsers.has(project.projectId));
+  const groupOnly = withoutUsers.filter(project => projectsWithGroups.has(project.projectId)).length;
+
+  const topApplications = tables.applications
+    .map(application => ({ name: application.name, projects: projectsPerApplication.get(application.applicationId) || 0 }))
+    .sort((a, b) => b.projects - a.projects || String(a.name).localeCompare(String(b.name), 'en', { numeric: true }))
+    .slice(0, topCount);
+
+  const largestGroups = tables.groups
+    .map(group => ({ name: group.name, projects: projectsPerGroup.get(group.groupId) || 0 }))
+    .sort((a, b) => b.projects - a.projects || String(a.name).localeCompare(String(b.name), 'en', { numeric: true }))
+    .slice(0, topCount);
+
+  const warnings = dataQualityWarnings(tables, manifest);
+
+  const sections = [
+    `# Polaris environment summary${manifest?.tenant ? `: ${escape(manifest.tenant)}` : ''}`,
+
+    [
+      manifest ? `Collected ${manifest.finishedAt}${manifest.complete ? '' : ' (incomplete)'} with cop-profiler ${manifest.toolVersion}.` : 'Collection time unknown (no run-manifest.json).',
+      `Summary created ${new Date().toISOString()}.`
+    ].join(' '),
+
+    '## Totals',
+    table(['', 'Count'], [
+      ['Applications', tables.applications.length],
+      ['Projects', tables.projects.length],
+      ['Branches', tables.branches.length],
+      ['Users', tables.users.length],
+      ['Groups', tables.groups.length],
+      ['Role assignments', tables.project_principals.length]
+    ]),
+
+    `## Top ${topCount} applications by project count`,
+    topApplications.length
+      ? table(['Application', 'Projects'], topApplications.map(application => [escape(application.name), application.projects]))
+      : 'No applications were collected.',
+
+    '## Projects without an application',
+    withoutApplication.length
+      ? `${plural(withoutApplication.length, 'project')} (${percent(withoutApplication.length, tables.projects.length)}) ${withoutApplication.length === 1 ? 'does' : 'do'} not belong to any application:\n\n${nameList(withoutApplication.map(project => project.name))}`
+      : 'Every project belongs to an application.',
+
+    '## Projects without any users',
+    withoutUsers.length
+      ? `${plural(withoutUsers.length, 'project has', 'projects have')} no users assigned directly${groupOnly ? `; ${groupOnly} of them ${groupOnly === 1 ? 'is' : 'are'} reached through groups only` : ''}:\n\n${nameList(withoutUsers.map(project => project.name))}`
+      : 'Every project has at least one user assigned.',
+
+    '## Largest groups',
+    largestGroups.length
+      ? `By the number of projects the group is assigned to.\n\n${table(['Group', 'Projects'], largestGroups.map(group => [escape(group.name), group.projects]))}`
+      : 'No groups are assigned to projects.',
+
+    '## Branches per project',
+    `Median ${median(branchCounts)}, most ${Math.max(0, ...branchCounts)} branches per project.\n\n${table(
+      ['Branches', 'Projects', 'Share'],
+      branchBuckets
+        .map(bucket => [bucket.label, branchCounts.filter(count => count >= bucket.min && count <= bucket.max).length])
+        .filter(([, count]) => count > 0)
+        .map(([label, count]) => [label, count, percent(count, branchCounts.length)])
+    )}`,
+
+    '## Data-quality warnings',
+    warnings.length ? warnings.map(warning => `- ${warning}`).join('\n') : 'None.'
+  ];
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+export const writeSummaryMarkdown = async (filePath, tables, options) => {
+  await fs.writeFile(filePath, buildSummaryMarkdown(tables, options), 'utf8');
+};
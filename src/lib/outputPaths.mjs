@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.mjs';
+
+/*
+ *    Locations of every file the profiler reads or writes, relative to the chosen output directory.
+ */
+
+export const outputPaths = (outputDirectory) => ({
+  outputDirectory,
+  checkpointDirectory: path.join(outputDirectory, '.checkpoint'),
+  applicationsList: path.join(outputDirectory, 'applicationsList.json'),
+  applicationsCsv: path.join(outputDirectory, 'applicationsList.csv'),
+  projectList: path.join(outputDirectory, 'projectList.json'),
+  projectListCsv: path.join(outputDirectory, 'projectList.csv'),
+  detailsList: path.join(outputDirectory, 'userDetailsList.json'),
+  detailsCsv: path.join(outputDirectory, 'userDetailsList.csv'),
+  groupMembersList: path.join(outputDirectory, 'groupMembers.json'),
+  groupMembersCsv: path.join(outputDirectory, 'groupMembers.csv'),
+  effectiveAccessCsv: path.join(outputDirectory, 'effectiveAccess.csv'),
+  branchesList: path.join(outputDirectory, 'branchesList.json'),
+  projectBranchesCsv: path.join(outputDirectory, 'projectBranches.csv'),
+  finalReportCsv: path.join(outputDirectory, 'finalProjectDetails.csv'),
+  finalReportXlsx: path.join(outputDirectory, 'finalProjectDetails.xlsx'),
+  dashboardHtml: path.join(outputDirectory, 'migrationDashboard.html'),
+  summaryMarkdown: path.join(outputDirectory, 'executiveSummary.md'),
+  finalBranchesCsv: path.join(outputDirectory, 'finalProjectBranches.csv'),
+  tablesDirectory: path.join(outputDirectory, 'tables'),
+  inventorySqlite: path.join(outputDirectory, 'inventory.sqlite'),
+  runManifest: path.join(outputDirectory, 'run-manifest.json'),
+  tenantSummaryJson: path.join(outputDirectory, 'tenantSummary.json'),
+  tenantSummaryCsv: path.join(outputDirectory, 'tenantSummary.csv')
+});
+
+/* Check to see if output directory exists.  If not, Create it for the user */
+
+export const ensureOutputDirectoryExists = async (outputDirectory) => {
+  try {
+    await fs.access(outputDirectory);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      await fs.mkdir(outputDirectory, { recursive: true });
+      logger.info('Created output directory.');
+    } else {
+      throw err;
+    }
+  }
+};
@@ -0,0 +1,355 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Shared Polaris API client used by main.mjs and every script in the scripts folder.  The client
+ *          authenticates once (password or access token, whichever is set in config.json), keeps the JWT
+ *          and exposes list/get/set methods for the resources the profiler works with.  Paging through
+ *          the JSON:API collections is handled here so the callers only deal with the returned records.
+ *          Every call is retried on transient failures (see retry.mjs), up to `maxAttempts` in config.json,
+ *          and paced by a rate limiter (see rateLimiter.mjs) set by `requestsPerSecond`.  When the JWT
+ *          expires during a long run the client re-authenticates and replays the request.  Each attempt
+ *          is logged (method, URL, status, duration) at debug level and in the --log-file.
+ *
+ *          With `record` every successful call is also saved to a fixture bundle, and with `replay` the
+ *          client answers from such a bundle instead of contacting Polaris (see fixtureBundle.mjs).
+ *
+ * ==========================================================================================================
+ */
+
+import axios from 'axios';
+import { withRetry, defaultMaxAttempts, parseMaxAttempts } from './retry.mjs';
+import { createRateLimiter, parseRequestsPerSecond } from './rateLimiter.mjs';
+import { resolveEndpoints } from './endpoints.mjs';
+import { logger } from './logger.mjs';
+import { createRecorder, loadReplay } from './fixtureBundle.mjs';
+
+/**
+ * @typedef {Object} JsonApiResource
+ * @property {string} id
+ * @property {string} type
+ * @property {Object} attributes
+ * @property {Object} [relationships]
+ */
+
+/**
+ * @typedef {Object} JsonApiDocument
+ * @property {JsonApiResource[]} data
+ * @property {JsonApiResource[]} [included]
+ */
+
+const applicationsPageLimit = 25;
+const projectsPageLimit = 500;
+const branchesPageLimit = 500;
+const usersPageLimit = 100;
+
+const withoutQuery = (url) => url.split('?')[0];
+
+// Renew the JWT this long before its `exp` claim rather than waiting for a 401
+const tokenExpiryMarginMs = 60 * 1000;
+
+/* Expiry time of a JWT in ms, or undefined when the token carries none we can read */
+
+const tokenExpiresAt = (jwt) => {
+  try {
+    const payload = JSON.parse(Buffer.from(jwt.split('.')[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : undefined;
+  } catch (err) {
+    return undefined;
+  }
+};
+
+/* Extract the JWT from the set-cookie header or, failing that, the response body */
+
+const extractToken = (authResponse) => {
+  let token;
+
+  const setCookieHeader = authResponse.headers['set-cookie'];
+  if (setCookieHeader) {
+    const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
+    if (tokenCookie) {
+      token = tokenCookie.split(';')[0].split('=')[1];
+    }
+  }
+
+  if (!token && authResponse.data && authResponse.data.jwt) {
+    token = authResponse.data.jwt;
+  }
+
+  if (!token) {
+    throw new Error('No access token found in the response.');
+  }
+
+  return token;
+};
+
+export const createPolarisClient = (config, { record, replay } = {}) => {
+  let token;
+  let pendingAuthentication;
+
+  if (record && replay) {
+    throw new Error('Use either --record or --replay, not both.');
+  }
+
+  const replayer = replay && loadReplay(replay);
+  const endpoints = replayer ? replayer.endpoints : resolveEndpoints(config);
+  const recorder = record && createRecorder(record, endpoints);
+  const transport = replayer ? replayer.respond : axios.request;
+  const maxAttempts = parseMaxAttempts(config.maxAttempts ?? defaultMaxAttempts);
+  const rateLimiter = createRateLimiter({ requestsPerSecond: parseRequestsPerSecond(config.requestsPerSecond ?? 0) });
+
+  const send = (requestConfig) => {
+    const method = requestConfig.method.toUpperCase();
+    let attempt = 0;
+
+    return withRetry(async () => {
+      await rateLimiter.acquire();
+
+      attempt++;
+      const startedAt = Date.now();
+      try {
+        const response = await transport(requestConfig);
+        logger.request({ method, url: requestConfig.url, status: response.status, durationMs: Date.now() - startedAt, attempt });
+        return response;
+      } catch (error) {
+        logger.request({
+          method,
+          url: requestConfig.url,
+          status: error.response && error.response.status,
+          code: error.response ? undefined : (error.code || error.message),
+          durationMs: Date.now() - startedAt,
+          attempt
+        });
+        throw error;
+      }
+    }, {
+      maxAttempts,
+      label: `${method} ${withoutQuery(requestConfig.url)}`
+    });
+  };
+
+  // Check if password or API key (access token) is provided and configure the auth request
+  const buildAuthConfig = () => {
+    const authData = new URLSearchParams();
+    authData.append('email', config.email);
+
+    if (config.password && config.password.trim() !== "") {
+      authData.append('password', config.password);
+      return {
+        method: 'post',
+        url: endpoints.authUrlTemplate,
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        data: authData
+      };
+    }
+
+    if (config.accesstoken && config.accesstoken.trim() !== "") {
+      authData.append('accesstoken', config.accesstoken);
+      const url = endpoints.authUrlV2Template;
+
+      logger.debug('Using access token for authentication:', url);
+
+      return {
+        method: 'post',
+        url,
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        data: authData
+      };
+    }
+
+    throw new Error('Neither password nor access token is provided (config.json, POLARIS_PASSWORD / POLARIS_ACCESS_TOKEN, --token-file or --token-stdin).');
+  };
+
+  const authenticate = async () => {
+    // A replayed run needs no credentials
+    if (replayer) {
+      token = 'replay';
+      return token;
+    }
+
+    const authConfig = buildAuthConfig();
+
+    logger.debug('Sending authentication request...');
+    const authResponse = await send(authConfig);
+    logger.debug('Authentication response received:', authResponse.status, authResponse.statusText);
+
+    token = extractToken(authResponse);
+    return token;
+  };
+
+  //
+  //  Make sure there is a usable token.  staleToken is one the server just rejected: it is replaced
+  //  unless another request has already done so.  Concurrent callers share a single authentication call.
+  //
+
+  const ensureToken = async (staleToken) => {
+    const expiresAt = token && tokenExpiresAt(token);
+    const expiring = expiresAt !== undefined && expiresAt - Date.now() < tokenExpiryMarginMs;
+
+    if (token && token !== staleToken && !expiring) {
+      return;
+    }
+
+    if (token && (expiring || token === staleToken)) {
+      logger.info('Access token expired, re-authenticating...');
+    }
+
+    if (!pendingAuthentication) {
+      pendingAuthentication = authenticate().finally(() => {
+        pendingAuthentication = undefined;
+      });
+    }
+    await pendingAuthentication;
+  };
+
+  const sendWithToken = async (requestConfig, jwt) => {
+    const response = await send({
+      maxBodyLength: Infinity,
+      ...requestConfig,
+      headers: {
+        'accept': 'application/vnd.api+json',
+        ...requestConfig.headers,
+        'Authorization': `Bearer ${jwt}`
+      }
+    });
+
+    // Only reads are recorded; a replayed run cannot change anything
+    if (recorder && requestConfig.method === 'get') {
+      recorder.record(requestConfig, response);
+    }
+    return response;
+  };
+
+  /* Authenticated request against the Polaris API.  Authenticates on first use, and once more (then
+     replays the request) if the server answers 401 because the token has expired. */
+
+  const request = async (requestConfig) => {
+    await ensureToken();
+    const usedToken = token;
+
+    try {
+      return await sendWithToken(requestConfig, usedToken);
+    } catch (error) {
+      if (!error.response || error.response.status !== 401) {
+        throw error;
+      }
+
+      await ensureToken(usedToken);
+      return sendWithToken(requestConfig, token);
+    }
+  };
+
+  //
+  //  Walk a paginated collection.  A page shorter than the limit is the last one.  Polaris likes pagination.
+  //  startOffset/initialRecords continue an interrupted walk, and onPage is told about every page fetched
+  //  (used for checkpoints).
+  //
+
+  const paginate = async (label, urlForOffset, limit, { startOffset = 0, initialRecords = [], onPage } = {}) => {
+    let offset = startOffset;
+    let allRecords = [...initialRecords];
+    let moreRecords = true;
+
+    while (moreRecords) {
+      logger.debug(`Fetching ${label} with offset=${offset}...`);
+      let response;
+      try {
+        response = await request({ method: 'get', url: urlForOffset(offset) });
+      } catch (error) {
+        // Tell the caller (and the run manifest) which page could not be fetched
+        error.pageOffset = offset;
+        throw error;
+      }
+      logger.debug(`Response for ${label} received:`, response.status, response.statusText);
+
+      if (response.status === 200) {
+        const records = response.data.data;
+        allRecords = [...allRecords, ...records];
+
+        moreRecords = records.length === limit;
+        offset += limit;
+
+        if (onPage) {
+          await onPage({ offset: offset - limit, nextOffset: offset, records });
+        }
+      } else {
+        // Stopping here would silently truncate the list, so treat it as a failure
+        const error = new Error(`Unexpected response for ${label} at offset=${offset}: HTTP ${response.status} - ${response.statusText}`);
+        error.pageOffset = offset;
+        throw error;
+      }
+    }
+
+    return allRecords;
+  };
+
+  /** @returns {Promise<JsonApiResource[]>} */
+  const listApplications = async ({ limit = applicationsPageLimit, ...pageOptions } = {}) => {
+    const baseApplicationsUrl = withoutQuery(endpoints.applicationsUrlTemplate);
+    return paginate('applications', offset => `${baseApplicationsUrl}?page[limit]=${limit}&page[offset]=${offset}`, limit, pageOptions);
+  };
+
+  /** @returns {Promise<JsonApiResource[]>} */
+  const listProjects = async ({ limit = projectsPageLimit, ...pageOptions } = {}) => {
+    const baseProjectsUrl = withoutQuery(endpoints.projectsUrlTemplate);
+    return paginate('projects', offset => `${baseProjectsUrl}?page[limit]=${limit}&page[offset]=${offset}`, limit, pageOptions);
+  };
+
+  /** @returns {Promise<JsonApiResource[]>} */
+  const listBranches = async (pageOptions = {}) => {
+    return paginate('branches', offset => endpoints.branchesUrlTemplate.replace('{offset}', offset), branchesPageLimit, pageOptions);
+  };
+
+  /**
+   * Role assignments on a single project, with the role, user and group records in `included`.
+   *
+   * @returns {Promise<JsonApiDocument>}
+   */
+  const listRoleAssignments = async (projectId) => {
+    const roleAssignmentsUrl = `${withoutQuery(endpoints.roleAssignmentsUrlTemplate)}?filter%5Brole-assignments%5D%5Bobject%5D%5B%24eq%5D=urn%3Ax-swip%3Aprojects%3A${projectId}&include%5Brole-assignments%5D%5B%5D=role&include%5Brole-assignments%5D%5B%5D=user&include%5Brole-assignments%5D%5B%5D=group`;
+    const response = await request({ method: 'get', url: roleAssignmentsUrl });
+    return response.data;
+  };
+
+  /**
+   * Members of a single group.
+   *
+   * @returns {Promise<JsonApiResource[]>}
+   */
+  const listGroupMembers = async (groupId) => {
+    const baseUsersUrl = withoutQuery(endpoints.usersUrlTemplate);
+    return paginate(`members of group ${groupId}`, offset => `${baseUsersUrl}?filter[users][groups][id][$eq]=${encodeURIComponent(groupId)}&page[limit]=${usersPageLimit}&page[offset]=${offset}`, usersPageLimit);
+  };
+
+  const setProjectProperties = async (projectIds, properties) => {
+    return request({
+      method: 'post',
+      url: endpoints.setPropertyUrlTemplate,
+      headers: {
+        'accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      data: {
+        projects: projectIds,
+        properties
+      }
+    });
+  };
+
+  return {
+    authenticate,
+    request,
+    listApplications,
+    listProjects,
+    listBranches,
+    listRoleAssignments,
+    listGroupMembers,
+    setProjectProperties
+  };
+};
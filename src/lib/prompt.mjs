@@ -0,0 +1,25 @@
+import readline from 'readline';
+
+/*
+ *    Interactive yes/no prompts.  The readline interface is only opened when a question is actually
+ *    asked, so importing a module that may prompt never holds stdin open.
+ */
+
+let rl;
+
+export const askQuestion = (query) => {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
+  return new Promise((resolve) => rl.question(query, resolve));
+};
+
+export const closePrompt = () => {
+  if (rl) {
+    rl.close();
+    rl = undefined;
+  }
+};
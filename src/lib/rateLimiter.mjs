@@ -0,0 +1,50 @@
+/*
+ *    Token-bucket rate limiter shared by every call a Polaris client makes (including retries), so the
+ *    profiler never sends more than `requestsPerSecond` on average.  Up to `burst` requests may go out
+ *    back to back after a quiet period.  Waiters are served in the order they asked.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const parseRequestsPerSecond = (value) => {
+  const requestsPerSecond = Number(value);
+  if (Number.isNaN(requestsPerSecond) || requestsPerSecond < 0) {
+    throw new Error(`Requests per second must be a number of at least 0 (got "${value}").`);
+  }
+  return requestsPerSecond;
+};
+
+/* requestsPerSecond of 0 (or unset) means no limit */
+
+export const createRateLimiter = ({ requestsPerSecond = 0, burst = Math.max(1, Math.floor(requestsPerSecond)) } = {}) => {
+  if (!requestsPerSecond) {
+    return { acquire: async () => {} };
+  }
+
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - lastRefill) / 1000 * requestsPerSecond);
+    lastRefill = now;
+  };
+
+  const takeToken = async () => {
+    refill();
+    if (tokens < 1) {
+      await sleep((1 - tokens) / requestsPerSecond * 1000);
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  const acquire = () => {
+    const turn = queue.then(takeToken);
+    queue = turn;
+    return turn;
+  };
+
+  return { acquire };
+};
@@ -0,0 +1,46 @@
+import util from 'util';
+
+/*
+ *    Keep credentials out of the logs.  Secrets registered here (password, access token) and anything
+ *    that looks like a JWT or a credential form field are masked in every line written through
+ *    console.log/info/warn/error/debug once protectSecrets() has been called.
+ */
+
+const mask = '********';
+const secrets = new Set();
+let consoleWrapped = false;
+
+const jwtPattern = /eyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+const credentialFieldPattern = /\b(access_token|accesstoken|password)=([^;&\s'"]+)/gi;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const redactText = (text) => {
+  let redacted = text
+    .replace(jwtPattern, '[REDACTED JWT]')
+    .replace(credentialFieldPattern, `$1=${mask}`);
+
+  secrets.forEach(secret => {
+    redacted = redacted.replace(new RegExp(escapeRegExp(secret), 'g'), mask);
+  });
+
+  return redacted;
+};
+
+const wrapConsole = () => {
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(redactText(util.format(...args)));
+  });
+  consoleWrapped = true;
+};
+
+export const protectSecrets = (values) => {
+  values
+    .filter(value => typeof value === 'string' && value.trim().length >= 4)
+    .forEach(value => secrets.add(value.trim()));
+
+  if (!consoleWrapped) {
+    wrapConsole();
+  }
+};
@@ -0,0 +1,198 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseAsync } from 'json2csv';
+
+/*
+ *    Normalized export of the collected data: one table per entity and one per relationship, each row
+ *    keyed by the Polaris ID, so the tables can be loaded into a database or BI tool and joined there
+ *    instead of being repeated on every row like finalProjectDetails.csv.
+ *
+ *      applications          applicationId, name, description
+ *      projects              projectId, name
+ *      project_properties    projectId, key, value
+ *      branches              branchId, projectId, name, isMain
+ *      users                 userId, name, email
+ *      groups                groupId, name
+ *      roles                 roleId, name
+ *      application_projects  applicationId, projectId
+ *      project_principals    projectId, principalType (user or group), principalId, roleId, roleAssignmentId
+ *      group_members         groupId, userId
+ *
+ *    users also lists the group members that hold no role of their own, when groupMembers.json was collected.
+ *
+ *    Output collected before principal IDs were recorded has no userId/groupId; those rows get an ID made
+ *    from the e-mail address (users) or the group name, which is stable from one export to the next; their
+ *    roleId and roleAssignmentId are null.
+ */
+
+//
+//  key is the primary key, references the foreign keys (column -> table, matched on the column of the same
+//  name) and indexes the extra lookup columns; the CSV export only uses columns, the SQLite export all of it.
+//  Key columns are NOT NULL unless listed in nullable: a project_principals row collected before roles were
+//  recorded has no roleId, and a null (unlike an empty string) does not break the foreign key to roles.
+//
+
+export const tableDefinitions = {
+  applications: { columns: ['applicationId', 'name', 'description'], key: ['applicationId'] },
+  projects: { columns: ['projectId', 'name'], key: ['projectId'], indexes: [['name']] },
+  project_properties: {
+    columns: ['projectId', 'key', 'value'],
+    key: ['projectId', 'key'],
+    references: { projectId: 'projects' },
+    indexes: [['key', 'value']]
+  },
+  branches: {
+    columns: ['branchId', 'projectId', 'name', 'isMain'],
+    types: { isMain: 'INTEGER' },
+    key: ['branchId'],
+    references: { projectId: 'projects' },
+    indexes: [['projectId'], ['name']]
+  },
+  users: { columns: ['userId', 'name', 'email'], key: ['userId'], indexes: [['email']] },
+  groups: { columns: ['groupId', 'name'], key: ['groupId'], indexes: [['name']] },
+  roles: { columns: ['roleId', 'name'], key: ['roleId'] },
+  application_projects: {
+    columns: ['applicationId', 'projectId'],
+    key: ['applicationId', 'projectId'],
+    references: { applicationId: 'applications', projectId: 'projects' },
+    indexes: [['projectId']]
+  },
+  project_principals: {
+    columns: ['projectId', 'principalType', 'principalId', 'roleId', 'roleAssignmentId'],
+    key: ['projectId', 'principalType', 'principalId', 'roleId'],
+    nullable: ['roleId'],
+    references: { projectId: 'projects', roleId: 'roles' },
+    indexes: [['principalType', 'principalId'], ['roleId']]
+  },
+  group_members: {
+    columns: ['groupId', 'userId'],
+    key: ['groupId', 'userId'],
+    references: { groupId: 'groups', userId: 'users' },
+    indexes: [['userId']]
+  }
+};
+
+const principalTypes = { User: 'user', GroupName: 'group' };
+
+const principalId = (detail) => detail.principalId
+  || `${principalTypes[detail.userType]}:${detail.userType === 'User' ? detail.email || detail.name : detail.name}`;
+
+/* Rows with the same key are kept once (the first one wins) */
+
+const uniqueRows = (tableName, rows) => {
+  const { key } = tableDefinitions[tableName];
+  const seen = new Set();
+
+  return rows.filter(row => {
+    const rowKey = JSON.stringify(key.map(column => row[column]));
+    if (seen.has(rowKey)) {
+      return false;
+    }
+    seen.add(rowKey);
+    return true;
+  });
+};
+
+//
+//  Build every table from the parsed output files (applicationsList.json, projectList.json,
+//  branchesList.json, userDetailsList.json and groupMembers.json).
+//
+
+export const buildTables = ({ applications = [], projects = [], branches = [], details = [], groupMembers = [] }) => {
+  const principals = details.filter(detail => principalTypes[detail.userType]);
+
+  const tables = {
+    applications: applications.map(application => ({
+      applicationId: application.id,
+      name: application.name,
+      description: application.description ?? ''
+    })),
+
+    projects: projects.map(project => ({
+      projectId: project.id,
+      name: project.name
+    })),
+
+    project_properties: projects.flatMap(project => Object.entries(project.properties || {}).map(([key, value]) => ({
+      projectId: project.id,
+      key,
+      value: typeof value === 'string' ? value : JSON.stringify(value)
+    }))),
+
+    branches: branches.map(branch => ({
+      branchId: branch.id,
+      projectId: branch.relationships.project.data.id,
+      name: branch.attributes.name,
+      isMain: Boolean(branch.attributes['main-for-project'])
+    })),
+
+    users: [
+      ...principals.filter(detail => detail.userType === 'User').map(detail => ({
+        userId: principalId(detail),
+        name: detail.name,
+        email: detail.email
+      })),
+      ...groupMembers.flatMap(group => group.members).map(member => ({
+        userId: member.userId,
+        name: member.name,
+        email: member.email
+      }))
+    ],
+
+    groups: principals.filter(detail => detail.userType === 'GroupName').map(detail => ({
+      groupId: principalId(detail),
+      name: detail.name
+    })),
+
+    roles: principals.filter(detail => detail.roleId).map(detail => ({
+      roleId: detail.roleId,
+      name: detail.roleName
+    })),
+
+    application_projects: applications.flatMap(application => (application.projects || []).map(projectId => ({
+      applicationId: application.id,
+      projectId
+    }))),
+
+    project_principals: principals.map(detail => ({
+      projectId: detail.projectId,
+      principalType: principalTypes[detail.userType],
+      principalId: principalId(detail),
+      roleId: detail.roleId || null,
+      roleAssignmentId: detail.roleAssignmentId || null
+    })),
+
+    group_members: groupMembers.flatMap(group => group.members.map(member => ({
+      groupId: group.groupId,
+      userId: member.userId
+    })))
+  };
+
+  return Object.fromEntries(Object.entries(tables).map(([tableName, rows]) => [tableName, uniqueRows(tableName, rows)]));
+};
+
+/* The number of rows per `key` value */
+
+export const countBy = (rows, key) => rows.reduce((counts, row) => counts.set(row[key], (counts.get(row[key]) || 0) + 1), new Map());
+
+//
+//  The number of different `distinctKey` values per `key` value.  project_principals has a row per role,
+//  so a user with two roles on a project is on one project: count it with this, not countBy.
+//
+
+export const countDistinct = (rows, key, distinctKey) => {
+  const sets = new Map();
+  rows.forEach(row => sets.set(row[key], (sets.get(row[key]) || new Set()).add(row[distinctKey])));
+  return new Map([...sets].map(([value, distinct]) => [value, distinct.size]));
+};
+
+/* One <table>.csv per table in directory */
+
+export const writeTablesCsv = async (directory, tables) => {
+  await fs.mkdir(directory, { recursive: true });
+
+  for (const [tableName, rows] of Object.entries(tables)) {
+    const csvOutput = await parseAsync(rows, { fields: tableDefinitions[tableName].columns, header: true });
+    await fs.writeFile(path.join(directory, `${tableName}.csv`), csvOutput, 'utf8');
+  }
+};
@@ -0,0 +1,98 @@
+import { logger } from './logger.mjs';
+
+/*
+ *    Retry policy for Polaris calls.  Transient failures are retried with exponential backoff (plus a
+ *    little jitter); anything else fails straight away.
+ *
+ *      - no response at all (connection reset/refused, timeout, DNS hiccup)
+ *      - 5xx from the server
+ *      - 429 Too Many Requests, waiting as long as its Retry-After header asks for, up to maxRetryAfterMs;
+ *        a server asking for more (a bad header, or a date far ahead) fails the call instead of stalling the run
+ */
+
+export const defaultMaxAttempts = 5;
+
+const baseDelayMs = 1000;
+const maxDelayMs = 30000;
+const maxRetryAfterMs = 2 * maxDelayMs;
+
+const retryableNetworkCodes = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const isRetryable = (error) => {
+  if (error.response) {
+    const { status } = error.response;
+    return status === 429 || status >= 500;
+  }
+  return retryableNetworkCodes.includes(error.code);
+};
+
+/* Retry-After is either a number of seconds or an HTTP date */
+
+const retryAfterMs = (error) => {
+  const header = error.response && error.response.headers && error.response.headers['retry-after'];
+  if (!header) {
+    return undefined;
+  }
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return undefined;
+};
+
+export const retryDelayMs = (error, attempt) => {
+  const requested = retryAfterMs(error);
+  if (requested !== undefined) {
+    return requested;
+  }
+
+  const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return backoff / 2 + Math.random() * backoff / 2;
+};
+
+const describe = (error) => error.response
+  ? `HTTP ${error.response.status}`
+  : (error.code || error.message);
+
+//
+//  Call fn until it succeeds, a non-retryable error is thrown, or maxAttempts calls have been made.
+//  The last error is rethrown as is so callers keep seeing the axios error (error.response etc.).
+//
+
+export const withRetry = async (fn, { maxAttempts = defaultMaxAttempts, label = 'request' } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = retryDelayMs(error, attempt);
+      if (delay > maxRetryAfterMs) {
+        logger.error(`${label} failed (${describe(error)}) and the server asks to wait ${Math.round(delay / 1000)}s before retrying, longer than the ${maxRetryAfterMs / 1000}s the profiler waits; giving up.`);
+        throw error;
+      }
+
+      logger.warn(`${label} failed (${describe(error)}), retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1} of ${maxAttempts})...`);
+      await sleep(delay);
+    }
+  }
+};
+
+export const parseMaxAttempts = (value) => {
+  const maxAttempts = Number(value);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new Error(`Max attempts must be a whole number of at least 1 (got "${value}").`);
+  }
+  return maxAttempts;
+};
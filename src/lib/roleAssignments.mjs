@@ -0,0 +1,135 @@
+import { mapWithConcurrency } from './workerPool.mjs';
+import { logger } from './logger.mjs';
+
+/*
+ *    Collect the users and groups that hold a role on each project.  Shared by main.mjs (collect) and
+ *    scripts/getProjectUserInformation.mjs (users).
+ */
+
+/* Columns of userDetailsList.csv */
+
+export const detailsCsvHeader = [
+  { id: 'projectName', title: 'Project Name' },
+  { id: 'projectId', title: 'Project ID' },
+  { id: 'userType', title: 'Type' },
+  { id: 'name', title: 'Name' },
+  { id: 'email', title: 'Email' },
+  { id: 'roleName', title: 'Role' },
+  { id: 'roleId', title: 'Role ID' },
+  { id: 'roleAssignmentId', title: 'Role Assignment ID' },
+  { id: 'principalId', title: 'Principal ID' }
+];
+
+//
+//  One row per role assignment in `data`, with the user or group and the role it refers to looked up in
+//  `included`.  A principal holding two roles on a project gives two rows, and principals that appear in
+//  `included` without an assignment on this project are left out.
+//
+//  When `included` is missing, or lacks a user, group or role, the row is still written with the Polaris
+//  IDs (the name falls back to the principal's ID) and a warning names the project.
+//
+
+const principalTypes = {
+  user: { type: 'users', userType: 'User', name: attributes => attributes.name, email: attributes => attributes.email },
+  group: { type: 'groups', userType: 'GroupName', name: attributes => attributes.groupname, email: () => '' }
+};
+
+export const parseRoleAssignments = (project, roleAssignments) => {
+  const included = new Map((roleAssignments.included || []).map(resource => [`${resource.type}/${resource.id}`, resource]));
+  let unresolved = 0;
+
+  const details = (roleAssignments.data || []).flatMap(assignment => {
+    const relationships = assignment.relationships || {};
+    const [relationship, principalType] = Object.entries(principalTypes)
+      .find(([name]) => relationships[name]?.data?.id) || [];
+
+    if (!principalType) {
+      return [];
+    }
+
+    const principalId = relationships[relationship].data.id;
+    const principal = included.get(`${principalType.type}/${principalId}`);
+    const roleId = relationships.role?.data?.id || '';
+    const role = included.get(`roles/${roleId}`);
+
+    if (!principal || (roleId && !role)) {
+      unresolved += 1;
+    }
+
+    return [{
+      projectName: project.name,
+      projectId: project.id,
+      userType: principalType.userType,
+      principalId,
+      name: principal ? principalType.name(principal.attributes) : principalId,
+      email: (principal && principalType.email(principal.attributes)) || '',
+      roleId,
+      roleName: role?.attributes?.name || '',
+      roleAssignmentId: assignment.id || ''
+    }];
+  });
+
+  if (unresolved > 0) {
+    logger.warn(`Project ${project.name} (ID: ${project.id}): ${unresolved} role assignment${unresolved === 1 ? ' refers' : 's refer'} to a user, group or role missing from the response; only the IDs are recorded.`);
+  }
+
+  return details;
+};
+
+//
+//  Distinct users or groups (userType 'User' or 'GroupName') in the details, by Polaris ID.  Output
+//  collected before principal IDs were recorded only has the name, so two people with the same display
+//  name count once there.
+//
+
+export const countPrincipals = (details, userType) => new Set(
+  details
+    .filter(detail => detail.userType === userType)
+    .map(detail => detail.principalId || detail.name)
+).size;
+
+//
+//  One request per project, `concurrency` of them at a time.  With a checkpoint, projects recorded by an
+//  earlier (interrupted) run are skipped and every newly finished project is recorded.  Results always
+//  come back in project order.
+//
+//  A project whose role assignments cannot be fetched does not stop the others: it is left out of
+//  `details` (and of the checkpoint, so a resumed run tries it again) and returned in `failures`.
+//
+
+export const collectRoleAssignments = async (client, allProjects, { checkpoint, concurrency = 1 } = {}) => {
+  const detailsByProject = new Map();
+  const failures = [];
+
+  if (checkpoint) {
+    checkpoint.entries.forEach(entry => detailsByProject.set(entry.projectId, entry.details));
+  }
+
+  const pendingProjects = allProjects.filter(project => !detailsByProject.has(project.id));
+
+  await mapWithConcurrency(pendingProjects, concurrency, async (project) => {
+    logger.debug(`Fetching role assignments for project ${project.name} (ID: ${project.id})...`);
+
+    let roleAssignments;
+    try {
+      roleAssignments = await client.listRoleAssignments(project.id);
+    } catch (error) {
+      failures.push({ project, error });
+      return;
+    }
+
+    const details = parseRoleAssignments(project, roleAssignments);
+
+    detailsByProject.set(project.id, details);
+    if (checkpoint) {
+      await checkpoint.append({ projectId: project.id, details });
+    }
+  });
+
+  return {
+    details: allProjects.flatMap(project => detailsByProject.get(project.id) || []),
+    failures: allProjects
+      .map(project => failures.find(failure => failure.project === project))
+      .filter(Boolean)
+  };
+};
@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readFileSync } from 'fs';
+import { logger, isLevelEnabled } from './logger.mjs';
+import { existingOutputErrorCode } from './existingOutput.mjs';
+
+/*
+ *    Record of a collect run, written to run-manifest.json in the output directory whether the run
+ *    succeeds or not: when it ran, against which tenant, with which version of the profiler, how many
+ *    records of each kind were collected, what happened to each stage and every project, group or page
+ *    that could not be fetched (with its HTTP status or network error code).
+ *
+ *    A run is complete when every stage finished (or reused its earlier output) and nothing failed.
+ *
+ *    A run that changed nothing is not recorded, so the manifest of the last collection stays next to its
+ *    data: one stopped before any stage ran (a config error), or one the existing-file policy refused (or
+ *    the user declined at the prompt) before any stage fetched new data.
+ */
+
+export const toolVersion = (() => {
+  try {
+    return JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8')).version;
+  } catch (err) {
+    return 'unknown';
+  }
+})();
+
+const completeStageStatuses = ['ok', 'reused'];
+
+// Stages with these statuses have written new output
+const fetchedStageStatuses = ['ok', 'partial'];
+
+/* HTTP status or network error code of a failed call */
+
+export const errorCode = (error) => error.response
+  ? `HTTP ${error.response.status}`
+  : (error.code || 'ERROR');
+
+export const describeFailure = (stage, error, details = {}) => ({
+  stage,
+  ...details,
+  ...(error.pageOffset !== undefined ? { offset: error.pageOffset } : {}),
+  code: errorCode(error),
+  message: error.message
+});
+
+export const createRunManifest = ({ command, tenant, outputDirectory }) => {
+  const manifest = {
+    command,
+    tenant,
+    toolVersion,
+    outputDirectory,
+    startedAt: new Date().toISOString(),
+    finishedAt: undefined,
+    complete: false,
+    stages: {},
+    counts: {},
+    failures: []
+  };
+
+  const stage = (name, status) => {
+    manifest.stages[name] = status;
+  };
+
+  const count = (entity, value) => {
+    manifest.counts[entity] = value;
+  };
+
+  const fail = (failure) => {
+    manifest.failures.push(failure);
+  };
+
+  const changedNothing = () => {
+    const statuses = Object.values(manifest.stages);
+    const refused = statuses.includes('aborted') || manifest.failures.some(failure => failure.code === existingOutputErrorCode);
+
+    return statuses.every(status => status === 'skipped')
+      || (refused && !statuses.some(status => fetchedStageStatuses.includes(status)));
+  };
+
+  /* Mark the stages that never ran and write run-manifest.json, unless the run changed nothing */
+
+  const finish = async (manifestPath, stageNames = []) => {
+    stageNames
+      .filter(name => manifest.stages[name] === undefined)
+      .forEach(name => stage(name, 'skipped'));
+
+    manifest.finishedAt = new Date().toISOString();
+    manifest.complete = manifest.failures.length === 0
+      && Object.values(manifest.stages).every(status => completeStageStatuses.includes(status));
+
+    if (changedNothing()) {
+      return { manifest, written: false };
+    }
+
+    await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+    return { manifest, written: true };
+  };
+
+  const printSummary = () => {
+    if (isLevelEnabled('info')) {
+      console.table(Object.entries(manifest.stages).map(([name, status]) => ({
+        stage: name,
+        status,
+        records: manifest.counts[name] ?? ''
+      })));
+    }
+
+    manifest.failures.forEach(failure => logger.warn(
+      `Failed: ${failure.stage}${failure.projectId ? ` project ${failure.projectName} (${failure.projectId})` : ''}${failure.groupId ? ` group ${failure.groupName} (${failure.groupId})` : ''}${failure.offset !== undefined ? ` page offset=${failure.offset}` : ''}: ${failure.code} - ${failure.message}`
+    ));
+
+    if (manifest.complete) {
+      logger.info('Run complete.');
+    } else {
+      logger.warn(`Run incomplete (${manifest.failures.length} failure${manifest.failures.length === 1 ? '' : 's'}); see run-manifest.json.`);
+    }
+  };
+
+  return { manifest, stage, count, fail, finish, printSummary };
+};
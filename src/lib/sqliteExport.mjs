@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import initSqlJs from 'sql.js';
+import { tableDefinitions } from './relationalExport.mjs';
+import { logger } from './logger.mjs';
+
+/*
+ *    SQLite export: the normalized tables of relationalExport.mjs in a single database file, with primary
+ *    keys, foreign keys and indexes, for ad-hoc SQL over a large tenant.  For example, the projects with
+ *    the most users:
+ *
+ *      SELECT p.name, COUNT(DISTINCT pp.principalId) AS users
+ *        FROM projects p JOIN project_principals pp ON pp.projectId = p.projectId
+ *       WHERE pp.principalType = 'user'
+ *       GROUP BY p.projectId ORDER BY users DESC;
+ *
+ *    sql.js (SQLite compiled to WebAssembly) builds the database in memory, so nothing native has to be
+ *    installed.  Rows pointing at records that were not collected (say, an application listing a project
+ *    the account cannot see) are kept; the foreign keys are checked after loading and reported.
+ */
+
+const quote = (name) => `"${name}"`;
+
+const columnList = (columns) => columns.map(quote).join(', ');
+
+const createTableSql = (tableName, { columns, types = {}, key, nullable = [], references = {} }) => {
+  const lines = [
+    ...columns.map(column => `${quote(column)} ${types[column] || 'TEXT'}${key.includes(column) && !nullable.includes(column) ? ' NOT NULL' : ''}`),
+    `PRIMARY KEY (${columnList(key)})`,
+    ...Object.entries(references).map(([column, parent]) => `FOREIGN KEY (${quote(column)}) REFERENCES ${quote(parent)} (${quote(column)})`)
+  ];
+
+  return `CREATE TABLE ${quote(tableName)} (\n  ${lines.join(',\n  ')}\n);`;
+};
+
+const createIndexSql = (tableName, { indexes = [] }) => indexes.map(columns =>
+  `CREATE INDEX ${quote(`${tableName}_${columns.join('_')}`)} ON ${quote(tableName)} (${columnList(columns)});`
+);
+
+const sqlValue = (value) => typeof value === 'boolean' ? Number(value) : (value ?? null);
+
+export const writeTablesSqlite = async (filePath, tables) => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+
+  try {
+    Object.entries(tableDefinitions).forEach(([tableName, definition]) => {
+      db.run(createTableSql(tableName, definition));
+    });
+
+    db.run('BEGIN');
+    Object.entries(tables).forEach(([tableName, rows]) => {
+      const { columns } = tableDefinitions[tableName];
+      const insert = db.prepare(`INSERT INTO ${quote(tableName)} (${columnList(columns)}) VALUES (${columns.map(() => '?').join(', ')})`);
+      rows.forEach(row => insert.run(columns.map(column => sqlValue(row[column]))));
+      insert.free();
+    });
+    db.run('COMMIT');
+
+    Object.entries(tableDefinitions).forEach(([tableName, definition]) => {
+      createIndexSql(tableName, definition).forEach(sql => db.run(sql));
+    });
+
+    const [dangling] = db.exec('SELECT "table", parent, COUNT(*) FROM pragma_foreign_key_check GROUP BY "table", parent');
+    (dangling?.values || []).forEach(([tableName, parent, count]) => {
+      logger.warn(`${count} row${count === 1 ? '' : 's'} in ${tableName} refer${count === 1 ? 's' : ''} to ${parent} that were not collected.`);
+    });
+
+    await fs.writeFile(filePath, Buffer.from(db.export()));
+  } finally {
+    db.close();
+  }
+};
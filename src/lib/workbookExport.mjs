@@ -0,0 +1,169 @@
+import ExcelJS from 'exceljs';
+import { countBy, countDistinct } from './relationalExport.mjs';
+import { logger } from './logger.mjs';
+
+/*
+ *    Excel workbook report built from the normalized tables of relationalExport.mjs, so the data does not
+ *    have to be split by hand:
+ *
+ *      Summary         what was collected and when, with the totals
+ *      Applications    one row per application, with its number of projects
+ *      Projects        one row per project, with its application, branch, user and group counts
+ *      Branches        one row per branch
+ *      Users, Groups   one row per principal, with the number of projects it has access to
+ *      Access matrix   one row per project and one column per user or group, with the role it holds there
+ *
+ *    Every sheet has a frozen, filterable header row and columns sized to their content.
+ */
+
+// Excel's column limit, less the Application, Project and Project ID columns of the access matrix
+const maxMatrixPrincipals = 16384 - 3;
+
+const minColumnWidth = 8;
+const maxColumnWidth = 60;
+
+const addSheet = (workbook, name, columns, rows, { filter = true } = {}) => {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  sheet.columns = columns.map(({ header, key }) => ({
+    header,
+    key,
+    width: Math.min(maxColumnWidth, Math.max(
+      minColumnWidth,
+      header.length + 2,
+      ...rows.slice(0, 1000).map(row => String(row[key] ?? '').length + 2)
+    ))
+  }));
+  sheet.addRows(rows);
+  sheet.getRow(1).font = { bold: true };
+
+  if (filter && columns.length > 0) {
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  }
+
+  return sheet;
+};
+
+//
+//  tables: the result of buildTables(); manifest: run-manifest.json of the collect run, when there is one.
+//
+
+export const writeWorkbook = async (filePath, tables, { manifest } = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'cop-profiler';
+
+  const applicationNames = new Map(tables.applications.map(application => [application.applicationId, application.name]));
+  const applicationsByProject = tables.application_projects.reduce((map, { applicationId, projectId }) =>
+    map.set(projectId, [...(map.get(projectId) || []), applicationNames.get(applicationId) || applicationId]), new Map());
+  const projectNames = new Map(tables.projects.map(project => [project.projectId, project.name]));
+
+  const branchCounts = countBy(tables.branches, 'projectId');
+  const mainBranches = new Map(tables.branches.filter(branch => branch.isMain).map(branch => [branch.projectId, branch.name]));
+  const users = tables.project_principals.filter(principal => principal.principalType === 'user');
+  const groups = tables.project_principals.filter(principal => principal.principalType === 'group');
+  const userCounts = countDistinct(users, 'projectId', 'principalId');
+  const groupCounts = countDistinct(groups, 'projectId', 'principalId');
+  const propertiesByProject = tables.project_properties.reduce((map, { projectId, key, value }) =>
+    map.set(projectId, [...(map.get(projectId) || []), `${key}=${value}`]), new Map());
+
+  addSheet(workbook, 'Summary', [
+    { header: 'Item', key: 'item' },
+    { header: 'Value', key: 'value' }
+  ], [
+    { item: 'Tenant', value: manifest?.tenant ?? '' },
+    { item: 'Collected', value: manifest?.finishedAt ?? '' },
+    { item: 'Collection complete', value: manifest ? (manifest.complete ? 'Yes' : 'No') : '' },
+    { item: 'Report created', value: new Date().toISOString() },
+    { item: 'Applications', value: tables.applications.length },
+    { item: 'Projects', value: tables.projects.length },
+    { item: 'Projects without an application', value: tables.projects.filter(project => !applicationsByProject.has(project.projectId)).length },
+    { item: 'Branches', value: tables.branches.length },
+    { item: 'Users', value: tables.users.length },
+    { item: 'Groups', value: tables.groups.length },
+    { item: 'Role assignments', value: tables.project_principals.length }
+  ], { filter: false });
+
+  const projectCounts = countBy(tables.application_projects, 'applicationId');
+  addSheet(workbook, 'Applications', [
+    { header: 'Application ID', key: 'applicationId' },
+    { header: 'Name', key: 'name' },
+    { header: 'Description', key: 'description' },
+    { header: 'Projects', key: 'projects' }
+  ], tables.applications.map(application => ({ ...application, projects: projectCounts.get(application.applicationId) || 0 })));
+
+  addSheet(workbook, 'Projects', [
+    { header: 'Project ID', key: 'projectId' },
+    { header: 'Name', key: 'name' },
+    { header: 'Application', key: 'application' },
+    { header: 'Main branch', key: 'mainBranch' },
+    { header: 'Branches', key: 'branches' },
+    { header: 'Users', key: 'users' },
+    { header: 'Groups', key: 'groups' },
+    { header: 'Properties', key: 'properties' }
+  ], tables.projects.map(project => ({
+    ...project,
+    application: (applicationsByProject.get(project.projectId) || ['No Application Name']).join('; '),
+    mainBranch: mainBranches.get(project.projectId) || '',
+    branches: branchCounts.get(project.projectId) || 0,
+    users: userCounts.get(project.projectId) || 0,
+    groups: groupCounts.get(project.projectId) || 0,
+    properties: (propertiesByProject.get(project.projectId) || []).join('; ')
+  })));
+
+  addSheet(workbook, 'Branches', [
+    { header: 'Branch ID', key: 'branchId' },
+    { header: 'Project ID', key: 'projectId' },
+    { header: 'Project', key: 'projectName' },
+    { header: 'Branch', key: 'name' },
+    { header: 'Main', key: 'main' }
+  ], tables.branches.map(branch => ({ ...branch, projectName: projectNames.get(branch.projectId) || '', main: branch.isMain ? 'Yes' : 'No' })));
+
+  const projectsPerUser = countDistinct(users, 'principalId', 'projectId');
+  addSheet(workbook, 'Users', [
+    { header: 'User ID', key: 'userId' },
+    { header: 'Name', key: 'name' },
+    { header: 'Email', key: 'email' },
+    { header: 'Projects', key: 'projects' }
+  ], tables.users.map(user => ({ ...user, projects: projectsPerUser.get(user.userId) || 0 })));
+
+  const projectsPerGroup = countDistinct(groups, 'principalId', 'projectId');
+  addSheet(workbook, 'Groups', [
+    { header: 'Group ID', key: 'groupId' },
+    { header: 'Name', key: 'name' },
+    { header: 'Projects', key: 'projects' }
+  ], tables.groups.map(group => ({ ...group, projects: projectsPerGroup.get(group.groupId) || 0 })));
+
+  const allPrincipals = [
+    ...tables.users.map(user => ({ key: `user:${user.userId}`, header: user.name || user.email || user.userId })),
+    ...tables.groups.map(group => ({ key: `group:${group.groupId}`, header: `${group.name} (group)` }))
+  ];
+  const principals = allPrincipals.slice(0, maxMatrixPrincipals);
+  if (principals.length < allPrincipals.length) {
+    logger.warn(`The access matrix has room for ${maxMatrixPrincipals} users and groups; ${allPrincipals.length - principals.length} were left out of it (they are still on the Users and Groups sheets).`);
+  }
+
+  // The role held, or x when the output was collected before roles were recorded
+  const roleNames = new Map(tables.roles.map(role => [role.roleId, role.name]));
+  const access = new Map(tables.projects.map(project => [project.projectId, {}]));
+  tables.project_principals.forEach(({ projectId, principalType, principalId, roleId }) => {
+    if (access.has(projectId)) {
+      const cell = `${principalType}:${principalId}`;
+      const role = roleNames.get(roleId) || 'x';
+      access.get(projectId)[cell] = access.get(projectId)[cell] ? `${access.get(projectId)[cell]}, ${role}` : role;
+    }
+  });
+
+  addSheet(workbook, 'Access matrix', [
+    { header: 'Application', key: 'application' },
+    { header: 'Project', key: 'name' },
+    { header: 'Project ID', key: 'projectId' },
+    ...principals
+  ], tables.projects.map(project => ({
+    application: (applicationsByProject.get(project.projectId) || ['No Application Name']).join('; '),
+    name: project.name,
+    projectId: project.projectId,
+    ...access.get(project.projectId)
+  })));
+
+  await workbook.xlsx.writeFile(filePath);
+};
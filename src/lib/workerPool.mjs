@@ -0,0 +1,43 @@
+/*
+ *    Run an async worker over a list with at most `concurrency` calls in flight.  Results are returned
+ *    in the order of the input, whatever order the calls finish in.
+ *
+ *    If a call fails no new items are started; the calls already running are allowed to finish (so their
+ *    results can still be checkpointed) and then the first error is thrown.
+ */
+
+export const mapWithConcurrency = async (items, concurrency, worker) => {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency, items.length));
+  let nextIndex = 0;
+  let firstError;
+
+  const runWorker = async () => {
+    while (firstError === undefined && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        if (firstError === undefined) {
+          firstError = error;
+        }
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: limit }, runWorker));
+
+  if (firstError !== undefined) {
+    throw firstError;
+  }
+
+  return results;
+};
+
+export const parseConcurrency = (value) => {
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Concurrency must be a whole number of at least 1 (got "${value}").`);
+  }
+  return concurrency;
+};
@@ -60,6 +60,14 @@
  *                      assessment.
  *                  --  Addition of a reporting script to combine all results from all scripts to a single, 
  *                      combined report (CSV Output).
+ *
+ *          October 19, 2026
+ *                  --  Shared Polaris client (lib/polarisClient.mjs) for authentication and pagination.
+ *                  --  Single `cop-profiler` entry point (cli.mjs); this script is the `collect` command.
+ *                  --  Every run that collects anything writes run-manifest.json (counts, failed projects/pages)
+ *                      and exits non-zero when the collected data is incomplete.
+ *                  --  Group members are collected and expanded into effectiveAccess.csv (direct or via
+ *                      which groups each user reaches a project).
  * 
  * 
  * 
@@ -67,241 +75,63 @@
  */
 
 
-import axios from 'axios';
 import fs from 'fs/promises';
-import readline from 'readline';
 import { createObjectCsvWriter } from 'csv-writer';
 import { parseAsync } from 'json2csv';
-
-const configPath = './config.json';
-const outputDirectory = './output';
-const projectListPath = `${outputDirectory}/projectList.json`;
-const detailsListPath = `${outputDirectory}/userDetailsList.json`;
-const branchesListPath = `${outputDirectory}/branchesList.json`;
-const outputCsvPath = `${outputDirectory}/projectBranches.csv`;
-const applicationsListPath = `${outputDirectory}/applicationsList.json`;
-const applicationsCsvPath = `${outputDirectory}/applicationsList.csv`;
-
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-const askQuestion = (query) => {
-  return new Promise((resolve) => rl.question(query, resolve));
-};
-
-
-/* Check to see if output directory exists.  If not, Create it for the user */
-
-const ensureOutputDirectoryExists = async () => {
-  try {
-    await fs.access(outputDirectory);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      await fs.mkdir(outputDirectory);
-      console.log('Created output directory.');
-    } else {
-      throw err;
-    }
-  }
-};
-
-const fetchApplicationsWithAuth = async () => {
+import { loadConfig } from './lib/config.mjs';
+import { createPolarisClient } from './lib/polarisClient.mjs';
+import { outputPaths, ensureOutputDirectoryExists } from './lib/outputPaths.mjs';
+import { closePrompt } from './lib/prompt.mjs';
+import { resolveExistingOutput, resolveExistingFilePolicy, reuseUnlessChosen } from './lib/existingOutput.mjs';
+import { openCheckpoint } from './lib/checkpoint.mjs';
+import { collectRoleAssignments, countPrincipals, detailsCsvHeader } from './lib/roleAssignments.mjs';
+import { assignedGroups, collectGroupMembers, groupMemberRows, groupMembersCsvHeader } from './lib/groupMembers.mjs';
+import { buildEffectiveAccess, effectiveAccessCsvHeader } from './lib/effectiveAccess.mjs';
+import { createRunManifest, describeFailure } from './lib/runManifest.mjs';
+import { parseConcurrency } from './lib/workerPool.mjs';
+import { isEntryPoint } from './lib/entryPoint.mjs';
+import { logger } from './lib/logger.mjs';
+
+const defaultConfigPath = './config.json';
+const defaultOutputDirectory = './output';
+
+const fetchApplicationsWithAuth = async ({ client, paths, existingFiles, resume, run }) => {
   try {
-    await ensureOutputDirectoryExists();
-
-    
-  /* Check if applicationsList.json already exists */
-    
-
-    let fileExists = false;
-    try {
-      await fs.access(applicationsListPath);
-      fileExists = true;
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        throw err;
-      }
-    }
-
-    if (fileExists) {
-      const answer = await askQuestion('applicationsList.json already exists. Do you want to delete it? [ yes | no ]: ');
-      if (!['yes', 'y'].includes(answer.toLowerCase())) {
-        console.log('Exiting script without making changes.');
-        rl.close();
-        return [];
-      }
-      await fs.unlink(applicationsListPath);
-      console.log('Existing applicationsList.json file deleted.');
-    }
-
+    await ensureOutputDirectoryExists(paths.outputDirectory);
 
-    // 
-    // Check if applicationsList.csv already exists
-    // 
 
+    /* Check if applicationsList.json / applicationsList.csv already exist */
 
-    fileExists = false;
-    try {
-      await fs.access(applicationsCsvPath);
-      fileExists = true;
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        throw err;
-      }
+    const existingAction = await resolveExistingOutput([paths.applicationsList, paths.applicationsCsv], existingFiles);
+    if (existingAction === 'abort') {
+      run.stage('applications', 'aborted');
+      return [];
     }
-
-    if (fileExists) {
-      const answer = await askQuestion('applicationsList.csv already exists. Do you want to delete it? [ yes | no ]: ');
-      if (!['yes', 'y'].includes(answer.toLowerCase())) {
-        console.log('Exiting script without making changes.');
-        rl.close();
-        return [];
-      }
-      await fs.unlink(applicationsCsvPath);
-      console.log('Existing applicationsList.csv file deleted.');
+    if (existingAction === 'reuse') {
+      const allApplications = JSON.parse(await fs.readFile(paths.applicationsList, 'utf8'));
+      run.stage('applications', 'reused');
+      run.count('applications', allApplications.length);
+      return allApplications;
     }
 
-    // Read config from config.json
-    const configData = await fs.readFile(configPath, 'utf8');
-    const config = JSON.parse(configData);
+    // Pagination is handled by the Polaris client.  If you want to update pagination, please
+    // check the COP documenation before proceeding.
 
-    if (!config.authUrlTemplate || !config.authUrlV2Template || !config.applicationsUrlTemplate || !config.customer) {
-      throw new Error('Missing required configuration properties.');
-    }
-
-    //
-    // Replace customer placeholder in URLs.  Be sure to check the config.json file if this needs
-    // to be updated
-
-    const authUrl = config.authUrlTemplate.replace('{customer}', config.customer);
-    const authUrlV2 = config.authUrlV2Template.replace('{customer}', config.customer);
-    const applicationsUrlTemplate = config.applicationsUrlTemplate.replace('{customer}', config.customer);
-    const baseApplicationsUrl = applicationsUrlTemplate.split('?')[0];
-
-    let authConfig;
-
-    // Check if password or API key (access token) is provided and configure the auth request
-    if (config.password && config.password.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('password', config.password);
-
-      authConfig = {
-        method: 'post',
-        url: authUrl,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-    } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('accesstoken', config.accesstoken);
-
-      authConfig = {
-        method: 'post',
-        url: authUrlV2,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-
-      console.log('Using access token for authentication:');
-      console.log('Request URL:', authConfig.url);
-      console.log('Request Headers:', authConfig.headers);
-      console.log('Request Data:', authData.toString());
-    } else {
-      throw new Error('Neither password nor access token is provided in the config.');
-    }
-
-    console.log('Sending authentication request...');
-    const authResponse = await axios.request(authConfig);
-    console.log('Authentication response received:', authResponse.status, authResponse.statusText);
-
-
-
-    let token;
-    const setCookieHeader = authResponse.headers['set-cookie'];
-    if (setCookieHeader) {
-      const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-      if (tokenCookie) {
-        token = tokenCookie.split(';')[0].split('=')[1];
-      }
-    }
-
-    if (!token && authResponse.data && authResponse.data.jwt) {
-      token = authResponse.data.jwt;
-    }
-
-    if (!token) {
-      throw new Error('No access token found in the response.');
-    }
-
-    // Initialize variables for pagination.  if you want to update pagination, please
-    // check the COP documenation before proceeding.  This should work for almost 
-    // all needs.
-
-
-    let offset = 0;
-    const limit = 25;
-    let allApplications = [];
-    let moreApplications = true;
-
-    //
-    //  Loop to fetch all applications with pagination.  Polaris likes pagination.
-    //
-
-    while (moreApplications) {
-      const applicationsUrlWithPagination = `${baseApplicationsUrl}?page[limit]=${limit}&page[offset]=${offset}`;
-
-      // Config for fetching applications
-      const applicationsConfig = {
-        method: 'get',
-        maxBodyLength: Infinity,
-        url: applicationsUrlWithPagination,
-        headers: { 
-          'accept': 'application/vnd.api+json',
-          'Authorization': `Bearer ${token}`
-        }
-      };
-
-      console.log(`Fetching applications with offset=${offset}...`);
-      // Request to fetch applications
-      const applicationsResponse = await axios.request(applicationsConfig);
-      console.log('Applications response received:', applicationsResponse.status, applicationsResponse.statusText);
-
-      if (applicationsResponse.status === 200) {
-        const applicationsData = applicationsResponse.data.data;
-        const formattedApplications = applicationsData.map(application => ({
-          id: application.id,
-          name: application.attributes.name,
-          description: application.attributes.description,
-          projects: application.relationships.projects.data.map(project => project.id)
-        }));
-
-        allApplications = [...allApplications, ...formattedApplications];
-
-        // Check if there are more applications to fetch
-        moreApplications = applicationsData.length === limit;
-        offset += limit;
-      } else {
-        console.error(`HTTP Error: ${applicationsResponse.status} - ${applicationsResponse.statusText}`);
-        moreApplications = false;
-      }
-    }
+    const checkpoint = await openCheckpoint(paths.checkpointDirectory, 'applications', { resume });
+    const applicationsData = await client.listApplications(checkpoint.pagination());
+    const allApplications = applicationsData.map(application => ({
+      id: application.id,
+      name: application.attributes.name,
+      description: application.attributes.description,
+      projects: application.relationships.projects.data.map(project => project.id)
+    }));
 
     const jsonContent = JSON.stringify(allApplications, null, 2);
 
     // Write JSON content to file
 
-    await fs.writeFile(applicationsListPath, jsonContent, 'utf8');
-    console.log('Applications list has been saved to applicationsList.json');
+    await fs.writeFile(paths.applicationsList, jsonContent, 'utf8');
+    logger.info('Applications list has been saved to applicationsList.json');
 
    /* Prepare data for CSV with a unique line for each project */
 
@@ -319,7 +149,7 @@ const fetchApplicationsWithAuth = async () => {
 
     // Write CSV content to file
     const csvWriter = createObjectCsvWriter({
-      path: applicationsCsvPath,
+      path: paths.applicationsCsv,
       header: [
         { id: 'id', title: 'Application ID' },
         { id: 'name', title: 'Application Name' },
@@ -329,469 +159,282 @@ const fetchApplicationsWithAuth = async () => {
     });
 
     await csvWriter.writeRecords(csvData);
-    console.log('Applications list has been saved to applicationsList.csv');
+    logger.info('Applications list has been saved to applicationsList.csv');
 
+    await checkpoint.complete();
+
+    run.stage('applications', 'ok');
+    run.count('applications', allApplications.length);
     return allApplications;
   } catch (error) {
+    process.exitCode = 1;
+    run.stage('applications', 'failed');
+    run.fail(describeFailure('applications', error));
     if (error.response) {
       // Handle errors from the server
-      console.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-      console.error('Response data:', error.response.data);
+      logger.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
+      logger.debug('Response data:', error.response.data);
     } else {
       // Handle other errors
-      console.error('Error:', error.message);
+      logger.error('Error:', error.message);
     }
     return [];
   } finally {
-    rl.close();
+    closePrompt();
   }
 };
 
-const fetchProjectsWithAuth = async () => {
+const fetchProjectsWithAuth = async ({ client, paths, existingFiles, resume, run }) => {
   try {
-    await ensureOutputDirectoryExists();
+    await ensureOutputDirectoryExists(paths.outputDirectory);
 
     let allProjects = [];
 
-    // Check if projectList.json already exists
-    try {
-      await fs.access(projectListPath);
-      const projectListData = await fs.readFile(projectListPath, 'utf8');
-      allProjects = JSON.parse(projectListData);
-      console.log('Reading projects from existing projectList.json');
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        throw err;
-      }
-
-      console.log('projectList.json does not exist. Fetching projects from the API.');
-
-      const configData = await fs.readFile(configPath, 'utf8');
-      const config = JSON.parse(configData);
-
-      const authUrl = config.authUrlTemplate.replace('{customer}', config.customer);
-      const authUrlV2 = config.authUrlV2Template.replace('{customer}', config.customer);
-      const projectsUrl = config.projectsUrlTemplate.replace('{customer}', config.customer);
-      const baseProjectsUrl = projectsUrl.split('?')[0];
-
-      let authConfig;
-
-      if (config.password && config.password.trim() !== "") {
-        const authData = new URLSearchParams();
-        authData.append('email', config.email);
-        authData.append('password', config.password);
-
-        authConfig = {
-          method: 'post',
-          url: authUrl,
-          headers: { 
-            'Accept': 'application/json',
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          data: authData
-        };
-      } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-        const authData = new URLSearchParams();
-        authData.append('email', config.email);
-        authData.append('accesstoken', config.accesstoken);
-
-        authConfig = {
-          method: 'post',
-          url: authUrlV2,
-          headers: { 
-            'Accept': 'application/json',
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          data: authData
-        };
-      } else {
-        throw new Error('Neither password nor access token is provided in the config.');
-      }
-
-      console.log('Sending authentication request...');
-      const authResponse = await axios.request(authConfig);
-      console.log('Authentication response received:', authResponse.status, authResponse.statusText);
-
-      let token;
+    // Check if projectList.json already exists.  Unless told otherwise, an existing list is reused.
+    const existingAction = await resolveExistingOutput([paths.projectList], reuseUnlessChosen(existingFiles));
 
-      const setCookieHeader = authResponse.headers['set-cookie'];
-      if (setCookieHeader) {
-        const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-        if (tokenCookie) {
-          token = tokenCookie.split(';')[0].split('=')[1];
-        }
-      }
-
-      if (!token && authResponse.data && authResponse.data.jwt) {
-        token = authResponse.data.jwt;
-      }
+    if (existingAction === 'abort') {
+      run.stage('projects', 'aborted');
+      return [];
+    }
 
-      if (!token) {
-        throw new Error('No access token found in the response.');
-      }
+    if (existingAction === 'reuse') {
+      const projectListData = await fs.readFile(paths.projectList, 'utf8');
+      allProjects = JSON.parse(projectListData);
+      logger.info('Reading projects from existing projectList.json');
+      run.stage('projects', 'reused');
+    } else {
+      logger.info('Fetching projects from the API.');
 
-      let offset = 0;
-      const limit = 500;
-      let moreProjects = true;
-
-      while (moreProjects) {
-        const projectsUrlWithPagination = `${baseProjectsUrl}?page[limit]=${limit}&page[offset]=${offset}`;
-
-        const projectsConfig = {
-          method: 'get',
-          maxBodyLength: Infinity,
-          url: projectsUrlWithPagination,
-          headers: { 
-            'accept': 'application/vnd.api+json',
-            'Authorization': `Bearer ${token}`
-          }
-        };
-
-        console.log(`Fetching projects with offset=${offset}...`);
-        const projectsResponse = await axios.request(projectsConfig);
-        console.log('Projects response received:', projectsResponse.status, projectsResponse.statusText);
-
-        if (projectsResponse.status === 200) {
-          const projectsData = projectsResponse.data.data;
-          const formattedProjects = projectsData.map(project => ({
-            id: project.id,
-            name: project.attributes.name,
-            properties: Object.keys(project.attributes.properties).length ? project.attributes.properties : { key: 'value' },
-            branches: project.relationships.branches.links.related
-          }));
-
-          allProjects = [...allProjects, ...formattedProjects];
-
-          moreProjects = projectsData.length === limit;
-          offset += limit;
-        } else {
-          console.error(`HTTP Error: ${projectsResponse.status} - ${projectsResponse.statusText}`);
-          moreProjects = false;
-        }
-      }
+      const checkpoint = await openCheckpoint(paths.checkpointDirectory, 'projects', { resume });
+      const projectsData = await client.listProjects(checkpoint.pagination());
+      allProjects = projectsData.map(project => ({
+        id: project.id,
+        name: project.attributes.name,
+        properties: Object.keys(project.attributes.properties).length ? project.attributes.properties : { key: 'value' },
+        branches: project.relationships.branches.links.related
+      }));
 
       const jsonContent = JSON.stringify(allProjects, null, 2);
 
-      await fs.writeFile(projectListPath, jsonContent, 'utf8');
-      console.log('Project list has been saved to projectList.json');
+      await fs.writeFile(paths.projectList, jsonContent, 'utf8');
+      logger.info('Project list has been saved to projectList.json');
+
+      await checkpoint.complete();
+      run.stage('projects', 'ok');
     }
 
+    run.count('projects', allProjects.length);
     return allProjects;
   } catch (error) {
+    process.exitCode = 1;
+    run.stage('projects', 'failed');
+    run.fail(describeFailure('projects', error));
     if (error.response) {
-      console.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-      console.error('Response data:', error.response.data);
+      logger.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
+      logger.debug('Response data:', error.response.data);
     } else {
-      console.error('Error:', error.message);
+      logger.error('Error:', error.message);
     }
     return [];
   }
 };
 
-const fetchRoleAssignments = async (allProjects) => {
-  try {
-    let allDetails = [];
-
-    const configData = await fs.readFile(configPath, 'utf8');
-    const config = JSON.parse(configData);
-    const authUrl = config.authUrlTemplate.replace('{customer}', config.customer);
-    const authUrlV2 = config.authUrlV2Template.replace('{customer}', config.customer);
-
-    let authConfig;
-
-    if (config.password && config.password.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('password', config.password);
-
-      authConfig = {
-        method: 'post',
-        url: authUrl,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-    } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('accesstoken', config.accesstoken);
-
-      authConfig = {
-        method: 'post',
-        url: authUrlV2,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-    } else {
-      throw new Error('Neither password nor access token is provided in the config.');
-    }
-
-    console.log('Sending authentication request...');
-    const authResponse = await axios.request(authConfig);
-    console.log('Authentication response received:', authResponse.status, authResponse.statusText);
-
-    let token;
-
-    const setCookieHeader = authResponse.headers['set-cookie'];
-    if (setCookieHeader) {
-      const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-      if (tokenCookie) {
-        token = tokenCookie.split(';')[0].split('=')[1];
-      }
-    }
-
-    if (!token && authResponse.data && authResponse.data.jwt) {
-      token = authResponse.data.jwt;
-    }
+const countDetails = (run, allDetails) => {
+  run.count('roleAssignments', allDetails.length);
+  run.count('users', countPrincipals(allDetails, 'User'));
+  run.count('groups', countPrincipals(allDetails, 'GroupName'));
+};
 
-    if (!token) {
-      throw new Error('No access token found in the response.');
+const fetchRoleAssignments = async ({ client, paths, existingFiles, resume, concurrency, run }, allProjects) => {
+  try {
+    const checkpoint = await openCheckpoint(paths.checkpointDirectory, 'roleAssignments', { resume });
+
+    // A resumed run keeps userDetailsList.json if the interrupted run already finished this stage, but only
+    // when the policy allows reuse and the project list was kept too; a fresh one may hold other projects
+    const projectsReused = run.manifest.stages.projects === 'reused';
+    if (resume && projectsReused && reuseUnlessChosen(existingFiles) === 'reuse' && !checkpoint.found
+      && await resolveExistingOutput([paths.detailsList], 'reuse') === 'reuse') {
+      await checkpoint.complete();
+      const allDetails = JSON.parse(await fs.readFile(paths.detailsList, 'utf8'));
+      run.stage('roleAssignments', 'reused');
+      countDetails(run, allDetails);
+      return allDetails;
     }
 
-    for (const project of allProjects) {
-      const roleAssignmentsUrl = `https://${config.customer}.polaris.synopsys.com/api/auth/v2/role-assignments?filter%5Brole-assignments%5D%5Bobject%5D%5B%24eq%5D=urn%3Ax-swip%3Aprojects%3A${project.id}&include%5Brole-assignments%5D%5B%5D=role&include%5Brole-assignments%5D%5B%5D=user&include%5Brole-assignments%5D%5B%5D=group`;
-
-      const roleAssignmentsConfig = {
-        method: 'get',
-        maxBodyLength: Infinity,
-        url: roleAssignmentsUrl,
-        headers: { 
-          'accept': 'application/vnd.api+json',
-          'Authorization': `Bearer ${token}`
-        }
-      };
+    // A project that cannot be read is recorded and skipped; the rest of the projects are still collected
+    const { details: allDetails, failures } = await collectRoleAssignments(client, allProjects, { checkpoint, concurrency });
 
-      console.log(`Fetching role assignments for project ${project.name} (ID: ${project.id})...`);
-      const roleAssignmentsResponse = await axios.request(roleAssignmentsConfig);
-      console.log('Role assignments response received:', roleAssignmentsResponse.status, roleAssignmentsResponse.statusText);
-
-      if (roleAssignmentsResponse.status === 200) {
-        const users = roleAssignmentsResponse.data.included.filter(item => item.type === 'users').map(user => ({
-          projectName: project.name,
-          projectId: project.id,
-          userType: 'User',
-          name: user.attributes.name,
-          email: user.attributes.email
-        }));
-
-        const groups = roleAssignmentsResponse.data.included.filter(item => item.type === 'groups').map(group => ({
-          projectName: project.name,
-          projectId: project.id,
-          userType: 'GroupName',
-          name: group.attributes.groupname,
-          email: ''
-        }));
-
-        allDetails = [...allDetails, ...users, ...groups];
-      } else {
-        console.error(`HTTP Error: ${roleAssignmentsResponse.status} - ${roleAssignmentsResponse.statusText}`);
-      }
-    }
+    failures.forEach(({ project, error }) => {
+      logger.error(`Role assignments for project ${project.name} (ID: ${project.id}) failed: ${error.message}`);
+      run.fail(describeFailure('roleAssignments', error, { projectId: project.id, projectName: project.name }));
+    });
 
     const detailsJsonContent = JSON.stringify(allDetails, null, 2);
 
-    await fs.writeFile(detailsListPath, detailsJsonContent, 'utf8');
-    console.log('Details list has been saved to userDetailsList.json');
+    await fs.writeFile(paths.detailsList, detailsJsonContent, 'utf8');
+    logger.info('Details list has been saved to userDetailsList.json');
 
     const csvWriter = createObjectCsvWriter({
-      path: `${outputDirectory}/userDetailsList.csv`,
-      header: [
-        { id: 'projectName', title: 'Project Name' },
-        { id: 'projectId', title: 'Project ID' },
-        { id: 'userType', title: 'Type' },
-        { id: 'name', title: 'Name' },
-        { id: 'email', title: 'Email' }
-      ]
+      path: paths.detailsCsv,
+      header: detailsCsvHeader
     });
 
     await csvWriter.writeRecords(allDetails);
-    console.log('Details list has been saved to userDetailsList.csv');
+    logger.info('Details list has been saved to userDetailsList.csv');
 
+    // Keep the checkpoint of an incomplete stage so --resume only fetches the failed projects again
+    if (failures.length === 0) {
+      await checkpoint.complete();
+    }
+
+    run.stage('roleAssignments', failures.length === 0 ? 'ok' : 'partial');
+    countDetails(run, allDetails);
     return allDetails;
   } catch (error) {
+    process.exitCode = 1;
+    run.stage('roleAssignments', 'failed');
+    run.fail(describeFailure('roleAssignments', error));
     if (error.response) {
-      console.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-      console.error('Response data:', error.response.data);
+      logger.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
+      logger.debug('Response data:', error.response.data);
     } else {
-      console.error('Error:', error.message);
+      logger.error('Error:', error.message);
     }
     return [];
   }
 };
 
-const fetchBranchesWithAuth = async () => {
-  try {
-    await ensureOutputDirectoryExists();
+//
+//  Members of every group assigned to a project, and from them the effective access of each user
+//  (effectiveAccess.csv).  Like the role assignments, a group that cannot be read is recorded and skipped.
+//
 
-    // Check if branchesList.json already exists
-    let fileExists = false;
-    try {
-      await fs.access(branchesListPath);
-      fileExists = true;
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        throw err;
-      }
-    }
+const writeEffectiveAccess = async (paths, allDetails, groupMembers) => {
+  const { rows, unexpandedGroups } = buildEffectiveAccess(allDetails, groupMembers);
 
-    if (fileExists) {
-      const answer = await askQuestion('branchesList.json already exists. Do you want to delete it? [ yes | no ]: ');
-      if (!['yes', 'y'].includes(answer.toLowerCase())) {
-        console.log('Exiting script without making changes.');
-        rl.close();
-        return [];
-      }
-      await fs.unlink(branchesListPath);
-      console.log('Existing branchesList.json file deleted.');
-    }
+  if (unexpandedGroups.length > 0) {
+    logger.warn(`effectiveAccess.csv leaves out the members of ${unexpandedGroups.length} group${unexpandedGroups.length === 1 ? '' : 's'} whose membership is not known: ${unexpandedGroups.map(group => group.groupName).join(', ')}`);
+  }
 
-    // Read config from config.json
-    const configData = await fs.readFile(configPath, 'utf8');
-    const config = JSON.parse(configData);
+  const csvWriter = createObjectCsvWriter({
+    path: paths.effectiveAccessCsv,
+    header: effectiveAccessCsvHeader
+  });
 
-    // Replace {customer} placeholder in URLs
-    const authUrl = config.authUrlTemplate?.replace('{customer}', config.customer);
-    const authUrlV2 = config.authUrlV2Template?.replace('{customer}', config.customer);
-    const branchesUrlTemplate = config.branchesUrlTemplate?.replace('{customer}', config.customer);
+  await csvWriter.writeRecords(rows);
+  logger.info('Effective access has been saved to effectiveAccess.csv');
+};
 
-    if (!authUrl || !authUrlV2 || !branchesUrlTemplate) {
-      throw new Error('One or more URL templates are missing or not correctly defined in the config.');
+const fetchGroupMembers = async ({ client, paths, resume, concurrency, run }, allDetails) => {
+  try {
+    const checkpoint = await openCheckpoint(paths.checkpointDirectory, 'groupMembers', { resume });
+
+    // A resumed run keeps groupMembers.json if the interrupted run already finished this stage, but only
+    // when the role assignments were kept too; freshly fetched ones may assign other groups
+    const roleAssignmentsReused = run.manifest.stages.roleAssignments === 'reused';
+    if (resume && roleAssignmentsReused && !checkpoint.found && await resolveExistingOutput([paths.groupMembersList], 'reuse') === 'reuse') {
+      await checkpoint.complete();
+      const groupMembers = JSON.parse(await fs.readFile(paths.groupMembersList, 'utf8'));
+      await writeEffectiveAccess(paths, allDetails, groupMembers);
+      run.stage('groupMembers', 'reused');
+      run.count('groupMembers', groupMemberRows(groupMembers).length);
+      return groupMembers;
     }
 
-    let authConfig;
-
-    // Check if password or API key (access token) is provided and configure the auth request
-    if (config.password && config.password.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('password', config.password);
-
-      authConfig = {
-        method: 'post',
-        url: authUrl,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-    } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('accesstoken', config.accesstoken);
-
-      authConfig = {
-        method: 'post',
-        url: authUrlV2,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
+    const { groupMembers, failures } = await collectGroupMembers(client, assignedGroups(allDetails), { checkpoint, concurrency });
 
-      console.log('Using access token for authentication:');
-      console.log('Request URL:', authConfig.url);
-      console.log('Request Headers:', authConfig.headers);
-      console.log('Request Data:', authData.toString());
-    } else {
-      throw new Error('Neither password nor access token is provided in the config.');
-    }
+    failures.forEach(({ group, error }) => {
+      logger.error(`Members of group ${group.groupName} (ID: ${group.groupId}) failed: ${error.message}`);
+      run.fail(describeFailure('groupMembers', error, { groupId: group.groupId, groupName: group.groupName }));
+    });
 
-    console.log('Sending authentication request...');
-    // Request to retrieve JWT token
-    const authResponse = await axios.request(authConfig);
-    console.log('Authentication response received:', authResponse.status, authResponse.statusText);
+    await fs.writeFile(paths.groupMembersList, JSON.stringify(groupMembers, null, 2), 'utf8');
+    logger.info('Group members have been saved to groupMembers.json');
 
-    let token;
+    const csvWriter = createObjectCsvWriter({
+      path: paths.groupMembersCsv,
+      header: groupMembersCsvHeader
+    });
 
-    // Extract the token from the set-cookie header or response body
-    const setCookieHeader = authResponse.headers['set-cookie'];
-    if (setCookieHeader) {
-      const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-      if (tokenCookie) {
-        token = tokenCookie.split(';')[0].split('=')[1];
-      }
-    }
+    await csvWriter.writeRecords(groupMemberRows(groupMembers));
+    logger.info('Group members have been saved to groupMembers.csv');
+
+    await writeEffectiveAccess(paths, allDetails, groupMembers);
 
-    if (!token && authResponse.data && authResponse.data.jwt) {
-      token = authResponse.data.jwt;
+    // Keep the checkpoint of an incomplete stage so --resume only fetches the failed groups again
+    if (failures.length === 0) {
+      await checkpoint.complete();
     }
 
-    if (!token) {
-      throw new Error('No access token found in the response.');
+    run.stage('groupMembers', failures.length === 0 ? 'ok' : 'partial');
+    run.count('groupMembers', groupMemberRows(groupMembers).length);
+    return groupMembers;
+  } catch (error) {
+    process.exitCode = 1;
+    run.stage('groupMembers', 'failed');
+    run.fail(describeFailure('groupMembers', error));
+    if (error.response) {
+      logger.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
+      logger.debug('Response data:', error.response.data);
+    } else {
+      logger.error('Error:', error.message);
     }
+    return [];
+  }
+};
 
-    // Initialize variables for pagination
-    let offset = 0;
-    let allBranches = [];
-    let moreBranches = true;
-
-    // Loop to fetch all branches with pagination
-    while (moreBranches) {
-      const branchesUrl = branchesUrlTemplate.replace('{offset}', offset);
-
-      console.log(`Fetching branches with URL: ${branchesUrl}`);
-      const branchesConfig = {
-        method: 'get',
-        maxBodyLength: Infinity,
-        url: branchesUrl,
-        headers: { 
-          'accept': 'application/vnd.api+json',
-          'Authorization': `Bearer ${token}`
-        }
-      };
+const fetchBranchesWithAuth = async ({ client, paths, existingFiles, resume, run }) => {
+  try {
+    await ensureOutputDirectoryExists(paths.outputDirectory);
 
-      try {
-        const branchesResponse = await axios.request(branchesConfig);
-        if (branchesResponse.status === 200) {
-          const branchesData = branchesResponse.data.data;
-
-          allBranches = [...allBranches, ...branchesData];
-
-          // Check if there are more branches to fetch
-          moreBranches = branchesData.length === 500;
-          offset += 500;
-        } else {
-          console.error(`HTTP Error: ${branchesResponse.status} - ${branchesResponse.statusText}`);
-          console.error('Response data:', branchesResponse.data);
-          moreBranches = false;
-        }
-      } catch (branchError) {
-        console.error(`Error fetching branches:`, JSON.stringify(branchError.response ? branchError.response.data : branchError.message, null, 2));
-        moreBranches = false;
-      }
+    // Check if branchesList.json already exists
+    const existingAction = await resolveExistingOutput([paths.branchesList], existingFiles);
+    if (existingAction === 'abort') {
+      run.stage('branches', 'aborted');
+      return [];
     }
+    if (existingAction === 'reuse') {
+      const allBranches = JSON.parse(await fs.readFile(paths.branchesList, 'utf8')).data;
+      run.stage('branches', 'reused');
+      run.count('branches', allBranches.length);
+      return allBranches;
+    }
+
+    const checkpoint = await openCheckpoint(paths.checkpointDirectory, 'branches', { resume });
+    const allBranches = await client.listBranches(checkpoint.pagination());
 
     const jsonContent = JSON.stringify({ data: allBranches }, null, 2);
 
     // Write JSON content to file
-    await fs.writeFile(branchesListPath, jsonContent, 'utf8');
-    console.log('Branches list has been saved to branchesList.json');
+    await fs.writeFile(paths.branchesList, jsonContent, 'utf8');
+    logger.info('Branches list has been saved to branchesList.json');
 
+    await checkpoint.complete();
+
+    run.stage('branches', 'ok');
+    run.count('branches', allBranches.length);
     return allBranches;
 
   } catch (error) {
+    process.exitCode = 1;
+    run.stage('branches', 'failed');
+    run.fail(describeFailure('branches', error));
     if (error.response) {
       // Handle errors from the server
-      console.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-      console.error('Response data:', error.response.data);
+      logger.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
+      logger.debug('Response data:', error.response.data);
     } else {
       // Handle other errors
-      console.error('Error:', error.message);
+      logger.error('Error:', error.message);
     }
     return [];
   } finally {
-    rl.close();
+    closePrompt();
   }
 };
 
-const associateProjectsToBranches = async (allProjects, allBranches) => {
+const associateProjectsToBranches = async ({ paths, run }, allProjects, allBranches) => {
   try {
     // Create a map of project IDs to project names and associated branches
     const projectMap = allProjects.reduce((map, project) => {
@@ -825,11 +468,15 @@ const associateProjectsToBranches = async (allProjects, allBranches) => {
     });
 
     // Write the CSV content to file
-    await fs.writeFile(outputCsvPath, csvOutput, 'utf8');
-    console.log('Project branches have been saved to projectBranches.csv');
+    await fs.writeFile(paths.projectBranchesCsv, csvOutput, 'utf8');
+    logger.info('Project branches have been saved to projectBranches.csv');
 
+    run.stage('projectBranches', 'ok');
   } catch (error) {
-    console.error('Error:', error.message);
+    process.exitCode = 1;
+    run.stage('projectBranches', 'failed');
+    run.fail(describeFailure('projectBranches', error));
+    logger.error('Error:', error.message);
   }
 };
 
@@ -839,20 +486,79 @@ const associateProjectsToBranches = async (allProjects, allBranches) => {
  */
 
 
-const main = async () => {
-  const allApplications = await fetchApplicationsWithAuth();
-  if (allApplications.length === 0) return;
+const stageNames = ['applications', 'projects', 'roleAssignments', 'groupMembers', 'branches', 'projectBranches'];
+
+const runStages = async (context) => {
+  const { run } = context;
+  const finished = (stage) => ['ok', 'reused', 'partial'].includes(run.manifest.stages[stage]);
 
-  const allProjects = await fetchProjectsWithAuth();
-  if (allProjects.length === 0) return;
+  await fetchApplicationsWithAuth(context);
+  if (!finished('applications')) return;
 
-  const allDetails = await fetchRoleAssignments(allProjects);
-  if (allDetails.length === 0) return;
+  const allProjects = await fetchProjectsWithAuth(context);
+  if (!finished('projects')) return;
 
-  const allBranches = await fetchBranchesWithAuth();
-  if (allBranches.length === 0) return;
+  const allDetails = await fetchRoleAssignments(context, allProjects);
+  if (!finished('roleAssignments')) return;
+
+  await fetchGroupMembers(context, allDetails);
+  if (!finished('groupMembers')) return;
+
+  const allBranches = await fetchBranchesWithAuth(context);
+  if (!finished('branches')) return;
+
+  await associateProjectsToBranches(context, allProjects, allBranches);
+};
+
+//
+//  Every stage records its outcome in the run manifest.  A stage that fails or is aborted stops the
+//  run (the later stages are marked as skipped).  run-manifest.json is written and a summary printed
+//  unless the run changed nothing (see runManifest.mjs), and an incomplete run sets exit code 1.
+//
+
+export const main = async ({ configPath = defaultConfigPath, outputDirectory = defaultOutputDirectory, resume = false, existingFiles = resolveExistingFilePolicy({ resume }), concurrency, ...overrides } = {}) => {
+  const paths = outputPaths(outputDirectory);
+  const run = createRunManifest({ command: 'collect', tenant: overrides.tenant, outputDirectory });
+
+  try {
+    const config = await loadConfig(configPath, overrides);
+    run.manifest.tenant = config.customer;
+
+    // One client for the whole run so we only authenticate once
+    await runStages({
+      client: createPolarisClient(config, overrides),
+      paths,
+      existingFiles,
+      resume,
+      concurrency: parseConcurrency(concurrency || config.concurrency || 1),
+      run
+    });
+  } catch (error) {
+    run.fail(describeFailure('config', error));
+    throw error;
+  } finally {
+    const { manifest, written } = await run.finish(paths.runManifest, stageNames);
+
+    // A config error is reported by the caller; there are no stages to summarize
+    if (Object.values(manifest.stages).some(status => status !== 'skipped')) {
+      run.printSummary();
+      if (!written) {
+        logger.warn(`Nothing was collected, so ${paths.runManifest} was not written; the manifest of the earlier run is kept.`);
+      }
+    }
+
+    if (!manifest.complete) {
+      process.exitCode = 1;
+    }
+  }
 
-  await associateProjectsToBranches(allProjects, allBranches);
+  return run.manifest;
 };
 
-main();
+// A config or validation error is rethrown by main; report it here instead of as an unhandled rejection
+if (isEntryPoint(import.meta.url)) {
+  main().catch(error => {
+    logger.error('Error:', error.message);
+    process.exitCode = 1;
+  });
+}
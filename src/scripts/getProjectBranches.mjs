@@ -1,211 +1,73 @@
-import axios from 'axios';
 import fs from 'fs/promises';
-import readline from 'readline';
 import { parseAsync } from 'json2csv';
-
-const configPath = '../config.json';
-const outputDirectory = '../output'; 
-const projectListPath = `${outputDirectory}/projectList.json`;
-const branchesListPath = `${outputDirectory}/branchesList.json`;
-const outputCsvPath = `${outputDirectory}/projectBranches.csv`;
-
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-const askQuestion = (query) => {
-  return new Promise((resolve) => rl.question(query, resolve));
-};
-
-const ensureOutputDirectoryExists = async () => {
+import { loadConfig } from '../lib/config.mjs';
+import { createPolarisClient } from '../lib/polarisClient.mjs';
+import { outputPaths, ensureOutputDirectoryExists } from '../lib/outputPaths.mjs';
+import { closePrompt } from '../lib/prompt.mjs';
+import { resolveExistingOutput, resolveExistingFilePolicy } from '../lib/existingOutput.mjs';
+import { isEntryPoint } from '../lib/entryPoint.mjs';
+import { logger } from '../lib/logger.mjs';
+
+const defaultConfigPath = '../config.json';
+const defaultOutputDirectory = '../output';
+
+export const fetchBranchesWithAuth = async ({ configPath = defaultConfigPath, outputDirectory = defaultOutputDirectory, existingFiles = resolveExistingFilePolicy(), ...overrides } = {}) => {
   try {
-    await fs.access(outputDirectory);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      await fs.mkdir(outputDirectory);
-      console.log('Created output directory.');
-    } else {
-      throw err;
-    }
-  }
-};
+    const paths = outputPaths(outputDirectory);
 
-const fetchBranchesWithAuth = async () => {
-  try {
-    await ensureOutputDirectoryExists();
+    await ensureOutputDirectoryExists(paths.outputDirectory);
 
     // Check if branchesList.json already exists
-    let fileExists = false;
-    try {
-      await fs.access(branchesListPath);
-      fileExists = true;
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        throw err;
-      }
+    const existingAction = await resolveExistingOutput([paths.branchesList], existingFiles);
+    if (existingAction === 'abort') {
+      return;
     }
-
-    if (fileExists) {
-      const answer = await askQuestion('branchesList.json already exists. Do you want to delete it? [ yes | no ]: ');
-      if (!['yes', 'y'].includes(answer.toLowerCase())) {
-        console.log('Exiting script without making changes.');
-        rl.close();
-        return;
-      }
-      await fs.unlink(branchesListPath);
-      console.log('Existing branchesList.json file deleted.');
+    if (existingAction === 'reuse') {
+      // Nothing to fetch, just rebuild projectBranches.csv from the existing list
+      await associateProjectsToBranches(paths);
+      return;
     }
 
     // Read config from config.json
-    const configData = await fs.readFile(configPath, 'utf8');
-    const config = JSON.parse(configData);
-
-    // Replace {customer} placeholder in URLs
-    const authUrl = config.authUrlTemplate?.replace('{customer}', config.customer);
-    const authUrlV2 = config.authUrlV2Template?.replace('{customer}', config.customer);
-    const branchesUrlTemplate = config.branchesUrlTemplate?.replace('{customer}', config.customer);
-
-    if (!authUrl || !authUrlV2 || !branchesUrlTemplate) {
-      throw new Error('One or more URL templates are missing or not correctly defined in the config.');
-    }
-
-    let authConfig;
-
-    // Check if password or API key (access token) is provided and configure the auth request
-    if (config.password && config.password.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('password', config.password);
-
-      authConfig = {
-        method: 'post',
-        url: authUrl,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-    } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('accesstoken', config.accesstoken);
-
-      authConfig = {
-        method: 'post',
-        url: authUrlV2,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-
-      console.log('Using access token for authentication:');
-      console.log('Request URL:', authConfig.url);
-      console.log('Request Headers:', authConfig.headers);
-      console.log('Request Data:', authData.toString());
-    } else {
-      throw new Error('Neither password nor access token is provided in the config.');
-    }
+    const config = await loadConfig(configPath, overrides);
 
-    console.log('Sending authentication request...');
-    // Request to retrieve JWT token
-    const authResponse = await axios.request(authConfig);
-    console.log('Authentication response received:', authResponse.status, authResponse.statusText);
-
-    let token;
-
-    // Extract the token from the set-cookie header or response body
-    const setCookieHeader = authResponse.headers['set-cookie'];
-    if (setCookieHeader) {
-      const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-      if (tokenCookie) {
-        token = tokenCookie.split(';')[0].split('=')[1];
-      }
-    }
+    const client = createPolarisClient(config, overrides);
 
-    if (!token && authResponse.data && authResponse.data.jwt) {
-      token = authResponse.data.jwt;
-    }
-
-    if (!token) {
-      throw new Error('No access token found in the response.');
-    }
-
-    // Initialize variables for pagination
-    let offset = 0;
-    let allBranches = [];
-    let moreBranches = true;
-
-    // Loop to fetch all branches with pagination
-    while (moreBranches) {
-      const branchesUrl = branchesUrlTemplate.replace('{offset}', offset);
-
-      console.log(`Fetching branches with URL: ${branchesUrl}`);
-      const branchesConfig = {
-        method: 'get',
-        maxBodyLength: Infinity,
-        url: branchesUrl,
-        headers: { 
-          'accept': 'application/vnd.api+json',
-          'Authorization': `Bearer ${token}`
-        }
-      };
-
-      try {
-        const branchesResponse = await axios.request(branchesConfig);
-        if (branchesResponse.status === 200) {
-          const branchesData = branchesResponse.data.data;
-
-          allBranches = [...allBranches, ...branchesData];
-
-          // Check if there are more branches to fetch
-          moreBranches = branchesData.length === 500;
-          offset += 500;
-        } else {
-          console.error(`HTTP Error: ${branchesResponse.status} - ${branchesResponse.statusText}`);
-          console.error('Response data:', branchesResponse.data);
-          moreBranches = false;
-        }
-      } catch (branchError) {
-        console.error(`Error fetching branches:`, JSON.stringify(branchError.response ? branchError.response.data : branchError.message, null, 2));
-        moreBranches = false;
-      }
-    }
+    // Fetch all branches (the client takes care of pagination)
+    const allBranches = await client.listBranches();
 
     const jsonContent = JSON.stringify({ data: allBranches }, null, 2);
 
     // Write JSON content to file
-    await fs.writeFile(branchesListPath, jsonContent, 'utf8');
-    console.log('Branches list has been saved to branchesList.json');
+    await fs.writeFile(paths.branchesList, jsonContent, 'utf8');
+    logger.info('Branches list has been saved to branchesList.json');
 
     // Call the function to associate projects to branches
-    await associateProjectsToBranches();
+    await associateProjectsToBranches(paths);
 
   } catch (error) {
+    process.exitCode = 1;
     if (error.response) {
       // Handle errors from the server
-      console.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-      console.error('Response data:', error.response.data);
+      logger.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
+      logger.debug('Response data:', error.response.data);
     } else {
       // Handle other errors
-      console.error('Error:', error.message);
+      logger.error('Error:', error.message);
     }
   } finally {
-    rl.close();
+    closePrompt();
   }
 };
 
-const associateProjectsToBranches = async () => {
+const associateProjectsToBranches = async (paths) => {
   try {
     // Read project list
-    const projectListData = await fs.readFile(projectListPath, 'utf8');
+    const projectListData = await fs.readFile(paths.projectList, 'utf8');
     const projectList = JSON.parse(projectListData);
 
     // Read branches list
-    const branchesListData = await fs.readFile(branchesListPath, 'utf8');
+    const branchesListData = await fs.readFile(paths.branchesList, 'utf8');
     const branchesList = JSON.parse(branchesListData);
 
     // Create a map of project IDs to project names and associated branches
@@ -240,12 +102,15 @@ const associateProjectsToBranches = async () => {
     });
 
     // Write the CSV content to file
-    await fs.writeFile(outputCsvPath, csvOutput, 'utf8');
-    console.log('Project branches have been saved to projectBranches.csv');
+    await fs.writeFile(paths.projectBranchesCsv, csvOutput, 'utf8');
+    logger.info('Project branches have been saved to projectBranches.csv');
 
   } catch (error) {
-    console.error('Error:', error.message);
+    process.exitCode = 1;
+    logger.error('Error:', error.message);
   }
 };
 
-fetchBranchesWithAuth();
+if (isEntryPoint(import.meta.url)) {
+  fetchBranchesWithAuth();
+}
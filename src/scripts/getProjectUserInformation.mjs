@@ -1,296 +1,102 @@
-import axios from 'axios';
 import fs from 'fs/promises';
-import readline from 'readline';
 import { createObjectCsvWriter } from 'csv-writer';
-
-const configPath = '../config.json';
-const outputDirectory = '../output'; 
-const projectListPath = `${outputDirectory}/projectList.json`;
-const detailsListPath = `${outputDirectory}/userDetailsList.json`;
-const csvPath = `${outputDirectory}/userDetailsList.csv`;
-
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-const askQuestion = (query) => {
-  return new Promise((resolve) => rl.question(query, resolve));
-};
-
-const ensureOutputDirectoryExists = async () => {
+import { loadConfig } from '../lib/config.mjs';
+import { createPolarisClient } from '../lib/polarisClient.mjs';
+import { outputPaths, ensureOutputDirectoryExists } from '../lib/outputPaths.mjs';
+import { closePrompt } from '../lib/prompt.mjs';
+import { resolveExistingOutput, resolveExistingFilePolicy, reuseUnlessChosen } from '../lib/existingOutput.mjs';
+import { openCheckpoint } from '../lib/checkpoint.mjs';
+import { collectRoleAssignments, detailsCsvHeader } from '../lib/roleAssignments.mjs';
+import { parseConcurrency } from '../lib/workerPool.mjs';
+import { isEntryPoint } from '../lib/entryPoint.mjs';
+import { logger } from '../lib/logger.mjs';
+
+const defaultConfigPath = '../config.json';
+const defaultOutputDirectory = '../output';
+
+export const fetchProjectsWithAuth = async ({ configPath = defaultConfigPath, outputDirectory = defaultOutputDirectory, resume = false, existingFiles = resolveExistingFilePolicy({ resume }), concurrency, ...overrides } = {}) => {
   try {
-    await fs.access(outputDirectory);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      await fs.mkdir(outputDirectory);
-      console.log('Created output directory.');
-    } else {
-      throw err;
-    }
-  }
-};
+    const paths = outputPaths(outputDirectory);
 
-const fetchProjectsWithAuth = async () => {
-  try {
-    await ensureOutputDirectoryExists();
+    await ensureOutputDirectoryExists(paths.outputDirectory);
 
     let allProjects = [];
 
-    // Check if projectList.json already exists
-    try {
-      await fs.access(projectListPath);
-      const projectListData = await fs.readFile(projectListPath, 'utf8');
-      allProjects = JSON.parse(projectListData);
-      console.log('Reading projects from existing projectList.json');
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        throw err;
-      }
-
-      console.log('projectList.json does not exist. Fetching projects from the API.');
-
-      const configData = await fs.readFile(configPath, 'utf8');
-      const config = JSON.parse(configData);
-
-      const authUrl = config.authUrlTemplate.replace('{customer}', config.customer);
-      const authUrlV2 = config.authUrlV2Template.replace('{customer}', config.customer);
-      const projectsUrl = config.projectsUrlTemplate.replace('{customer}', config.customer);
-      const baseProjectsUrl = projectsUrl.split('?')[0];
-
-      let authConfig;
-
-      if (config.password && config.password.trim() !== "") {
-        const authData = new URLSearchParams();
-        authData.append('email', config.email);
-        authData.append('password', config.password);
-
-        authConfig = {
-          method: 'post',
-          url: authUrl,
-          headers: { 
-            'Accept': 'application/json',
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          data: authData
-        };
-      } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-        const authData = new URLSearchParams();
-        authData.append('email', config.email);
-        authData.append('accesstoken', config.accesstoken);
-
-        authConfig = {
-          method: 'post',
-          url: authUrlV2,
-          headers: { 
-            'Accept': 'application/json',
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          data: authData
-        };
-      } else {
-        throw new Error('Neither password nor access token is provided in the config.');
-      }
-
-      console.log('Sending authentication request...');
-      const authResponse = await axios.request(authConfig);
-      console.log('Authentication response received:', authResponse.status, authResponse.statusText);
-
-      let token;
-
-      const setCookieHeader = authResponse.headers['set-cookie'];
-      if (setCookieHeader) {
-        const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-        if (tokenCookie) {
-          token = tokenCookie.split(';')[0].split('=')[1];
-        }
-      }
-
-      if (!token && authResponse.data && authResponse.data.jwt) {
-        token = authResponse.data.jwt;
-      }
-
-      if (!token) {
-        throw new Error('No access token found in the response.');
-      }
-
-      let offset = 0;
-      const limit = 500;
-      let moreProjects = true;
-
-      while (moreProjects) {
-        const projectsUrlWithPagination = `${baseProjectsUrl}?page[limit]=${limit}&page[offset]=${offset}`;
-
-        const projectsConfig = {
-          method: 'get',
-          maxBodyLength: Infinity,
-          url: projectsUrlWithPagination,
-          headers: { 
-            'accept': 'application/vnd.api+json',
-            'Authorization': `Bearer ${token}`
-          }
-        };
-
-        console.log(`Fetching projects with offset=${offset}...`);
-        const projectsResponse = await axios.request(projectsConfig);
-        console.log('Projects response received:', projectsResponse.status, projectsResponse.statusText);
-
-        if (projectsResponse.status === 200) {
-          const projectsData = projectsResponse.data.data;
-          const formattedProjects = projectsData.map(project => ({
-            id: project.id,
-            name: project.attributes.name
-          }));
+    // Read config from config.json
+    const config = await loadConfig(configPath, overrides);
+    const client = createPolarisClient(config, overrides);
 
-          allProjects = [...allProjects, ...formattedProjects];
+    // Check if projectList.json already exists.  Unless told otherwise, an existing list is reused.
+    const existingAction = await resolveExistingOutput([paths.projectList], reuseUnlessChosen(existingFiles));
 
-          moreProjects = projectsData.length === limit;
-          offset += limit;
-        } else {
-          console.error(`HTTP Error: ${projectsResponse.status} - ${projectsResponse.statusText}`);
-          moreProjects = false;
-        }
-      }
-
-      const jsonContent = JSON.stringify(allProjects, null, 2);
-
-      await fs.writeFile(projectListPath, jsonContent, 'utf8');
-      console.log('Project list has been saved to projectList.json');
+    if (existingAction === 'abort') {
+      return;
     }
 
-    // Extract user and group details from each project
-    let allDetails = [];
-
-    const configData = await fs.readFile(configPath, 'utf8');
-    const config = JSON.parse(configData);
-    const authUrl = config.authUrlTemplate.replace('{customer}', config.customer);
-    const authUrlV2 = config.authUrlV2Template.replace('{customer}', config.customer);
-
-    let authConfig;
-
-    if (config.password && config.password.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('password', config.password);
-
-      authConfig = {
-        method: 'post',
-        url: authUrl,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-    } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('accesstoken', config.accesstoken);
-
-      authConfig = {
-        method: 'post',
-        url: authUrlV2,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
+    if (existingAction === 'reuse') {
+      const projectListData = await fs.readFile(paths.projectList, 'utf8');
+      allProjects = JSON.parse(projectListData);
+      logger.info('Reading projects from existing projectList.json');
     } else {
-      throw new Error('Neither password nor access token is provided in the config.');
-    }
+      logger.info('Fetching projects from the API.');
 
-    console.log('Sending authentication request...');
-    const authResponse = await axios.request(authConfig);
-    console.log('Authentication response received:', authResponse.status, authResponse.statusText);
-
-    let token;
-
-    const setCookieHeader = authResponse.headers['set-cookie'];
-    if (setCookieHeader) {
-      const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-      if (tokenCookie) {
-        token = tokenCookie.split(';')[0].split('=')[1];
-      }
-    }
+      const projectsData = await client.listProjects();
+      allProjects = projectsData.map(project => ({
+        id: project.id,
+        name: project.attributes.name
+      }));
 
-    if (!token && authResponse.data && authResponse.data.jwt) {
-      token = authResponse.data.jwt;
-    }
+      const jsonContent = JSON.stringify(allProjects, null, 2);
 
-    if (!token) {
-      throw new Error('No access token found in the response.');
+      await fs.writeFile(paths.projectList, jsonContent, 'utf8');
+      logger.info('Project list has been saved to projectList.json');
     }
 
-    for (const project of allProjects) {
-      const roleAssignmentsUrl = `https://${config.customer}.polaris.synopsys.com/api/auth/v2/role-assignments?filter%5Brole-assignments%5D%5Bobject%5D%5B%24eq%5D=urn%3Ax-swip%3Aprojects%3A${project.id}&include%5Brole-assignments%5D%5B%5D=role&include%5Brole-assignments%5D%5B%5D=user&include%5Brole-assignments%5D%5B%5D=group`;
-
-      const roleAssignmentsConfig = {
-        method: 'get',
-        maxBodyLength: Infinity,
-        url: roleAssignmentsUrl,
-        headers: { 
-          'accept': 'application/vnd.api+json',
-          'Authorization': `Bearer ${token}`
-        }
-      };
-
-      console.log(`Fetching role assignments for project ${project.name} (ID: ${project.id})...`);
-      const roleAssignmentsResponse = await axios.request(roleAssignmentsConfig);
-      console.log('Role assignments response received:', roleAssignmentsResponse.status, roleAssignmentsResponse.statusText);
-
-      if (roleAssignmentsResponse.status === 200) {
-        const users = roleAssignmentsResponse.data.included.filter(item => item.type === 'users').map(user => ({
-          projectName: project.name,
-          projectId: project.id,
-          userType: 'User',
-          name: user.attributes.name,
-          email: user.attributes.email
-        }));
-
-        const groups = roleAssignmentsResponse.data.included.filter(item => item.type === 'groups').map(group => ({
-          projectName: project.name,
-          projectId: project.id,
-          userType: 'GroupName',
-          name: group.attributes.groupname,
-          email: ''
-        }));
+    // Extract user and group details from each project
+    const checkpoint = await openCheckpoint(paths.checkpointDirectory, 'roleAssignments', { resume });
+    const { details: allDetails, failures } = await collectRoleAssignments(client, allProjects, {
+      checkpoint,
+      concurrency: parseConcurrency(concurrency || config.concurrency || 1)
+    });
 
-        allDetails = [...allDetails, ...users, ...groups];
-      } else {
-        console.error(`HTTP Error: ${roleAssignmentsResponse.status} - ${roleAssignmentsResponse.statusText}`);
-      }
-    }
+    failures.forEach(({ project, error }) => {
+      logger.error(`Role assignments for project ${project.name} (ID: ${project.id}) failed: ${error.message}`);
+    });
 
     const detailsJsonContent = JSON.stringify(allDetails, null, 2);
 
-    await fs.writeFile(detailsListPath, detailsJsonContent, 'utf8');
-    console.log('Details list has been saved to detailsList.json');
+    await fs.writeFile(paths.detailsList, detailsJsonContent, 'utf8');
+    logger.info('Details list has been saved to detailsList.json');
 
     const csvWriter = createObjectCsvWriter({
-      path: csvPath,
-      header: [
-        { id: 'projectName', title: 'Project Name' },
-        { id: 'projectId', title: 'Project ID' },
-        { id: 'userType', title: 'Type' },
-        { id: 'name', title: 'Name' },
-        { id: 'email', title: 'Email' }
-      ]
+      path: paths.detailsCsv,
+      header: detailsCsvHeader
     });
 
     await csvWriter.writeRecords(allDetails);
-    console.log('Details list has been saved to detailsList.csv');
+    logger.info('Details list has been saved to detailsList.csv');
+
+    // Keep the checkpoint so --resume only fetches the failed projects again
+    if (failures.length > 0) {
+      process.exitCode = 1;
+      logger.warn(`Role assignments of ${failures.length} project${failures.length === 1 ? '' : 's'} could not be fetched; rerun with --resume to retry them.`);
+    } else {
+      await checkpoint.complete();
+    }
 
   } catch (error) {
+    process.exitCode = 1;
     if (error.response) {
-      console.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-      console.error('Response data:', error.response.data);
+      logger.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
+      logger.debug('Response data:', error.response.data);
     } else {
-      console.error('Error:', error.message);
+      logger.error('Error:', error.message);
     }
   } finally {
-    rl.close();
+    closePrompt();
   }
 };
 
-fetchProjectsWithAuth();
+if (isEntryPoint(import.meta.url)) {
+  fetchProjectsWithAuth();
+}
@@ -1,145 +1,69 @@
 
 
-import axios from 'axios';
 import fs from 'fs/promises';
+import { loadConfig } from '../lib/config.mjs';
+import { createPolarisClient } from '../lib/polarisClient.mjs';
+import { outputPaths } from '../lib/outputPaths.mjs';
+import { isEntryPoint } from '../lib/entryPoint.mjs';
+import { logger } from '../lib/logger.mjs';
 
-const configPath = '../config.json';
-const projectListPath = '../projectList.json';
+const defaultConfigPath = '../config.json';
+const defaultOutputDirectory = '../output';
 
-const setProjectProperties = async () => {
+export const setProjectProperties = async ({ configPath = defaultConfigPath, outputDirectory = defaultOutputDirectory, ...overrides } = {}) => {
   try {
-    // Read config from config.json
-    const configData = await fs.readFile(configPath, 'utf8');
-    const config = JSON.parse(configData);
-
-    console.log('Config data loaded:', config);
-
-    const authUrl = config.authUrlTemplate.replace('{customer}', config.customer);
-    const authUrlV2 = config.authUrlV2Template.replace('{customer}', config.customer);
-    const setPropertyUrl = config.setPropertyUrlTemplate.replace('{customer}', config.customer);
-
-    let authConfig;
-
-    // Check if password or API key (access token) is provided and configure the auth request
-    if (config.password && config.password.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('password', config.password);
-
-      authConfig = {
-        method: 'post',
-        url: authUrl,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-    } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('accesstoken', config.accesstoken);
-
-      authConfig = {
-        method: 'post',
-        url: authUrlV2,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-
-      console.log('Using access token for authentication:');
-      console.log('Request URL:', authConfig.url);
-      console.log('Request Headers:', authConfig.headers);
-      console.log('Request Data:', authData.toString());
-    } else {
-      throw new Error('Neither password nor access token is provided in the config.');
-    }
-
-    console.log('Sending authentication request...');
-    // Request to retrieve JWT token
-    const authResponse = await axios.request(authConfig);
-    console.log('Authentication response received:', authResponse.status, authResponse.statusText);
+    const paths = outputPaths(outputDirectory);
 
-    let token;
-
-    // Extract the token from the set-cookie header or response body
-    const setCookieHeader = authResponse.headers['set-cookie'];
-    if (setCookieHeader) {
-      const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-      if (tokenCookie) {
-        token = tokenCookie.split(';')[0].split('=')[1];
-      }
-    }
-
-    if (!token && authResponse.data && authResponse.data.jwt) {
-      token = authResponse.data.jwt;
-    }
-
-    if (!token) {
-      throw new Error('No access token found in the response.');
-    }
+    // Read config from config.json
+    const config = await loadConfig(configPath, overrides);
 
+    logger.info(`Config data loaded for tenant ${config.customer}.`);
 
-    // Remove if you need to check JWT
-    //console.log('Retrieved access token:', token);
+    const client = createPolarisClient(config, overrides);
+    await client.authenticate();
 
-    
     // Read project list from projectList.json
-    const projectListData = await fs.readFile(projectListPath, 'utf8');
+    const projectListData = await fs.readFile(paths.projectList, 'utf8');
     const projectList = JSON.parse(projectListData);
-    console.log('Project list loaded:', projectList);
+    logger.debug('Project list loaded:', projectList);
 
     // Loop through each project and set properties
     for (const project of projectList) {
-      console.log('Setting properties for project ID:', project.id);
-
-      const propertiesConfig = {
-        method: 'post',
-        url: setPropertyUrl,
-        headers: { 
-          'accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        data: {
-          projects: [project.id],
-          properties: project.properties
-        }
-      };
+      logger.debug('Setting properties for project ID:', project.id);
 
       try {
         // Request to set properties for the project
-        const propertiesResponse = await axios.request(propertiesConfig);
-        console.log(`Response for project ID ${project.id}:`, propertiesResponse.status, propertiesResponse.statusText);
+        const propertiesResponse = await client.setProjectProperties([project.id], project.properties);
+        logger.debug(`Response for project ID ${project.id}:`, propertiesResponse.status, propertiesResponse.statusText);
 
         if (propertiesResponse.status === 200) {
-          console.log(`Project properties have been set successfully for project ID: ${project.id}`);
+          logger.info(`Project properties have been set successfully for project ID: ${project.id}`);
         } else {
-          console.error(`HTTP Error for project ID ${project.id}: ${propertiesResponse.status} - ${propertiesResponse.statusText}`);
+          logger.error(`HTTP Error for project ID ${project.id}: ${propertiesResponse.status} - ${propertiesResponse.statusText}`);
         }
       } catch (error) {
-        console.error(`Error setting properties for project ID ${project.id}:`, error.message);
+        logger.error(`Error setting properties for project ID ${project.id}:`, error.message);
         if (error.response) {
-          console.error(`HTTP Error for project ID ${project.id}: ${error.response.status} - ${error.response.statusText}`);
-          console.error('Response data:', error.response.data);
+          logger.error(`HTTP Error for project ID ${project.id}: ${error.response.status} - ${error.response.statusText}`);
+          logger.debug('Response data:', error.response.data);
         }
       }
     }
 
   } catch (error) {
-    console.error('Error:', error.message);
+    process.exitCode = 1;
+    logger.error('Error:', error.message);
     if (error.response) {
       // Handle errors from the server
-      console.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-      console.error('Response data:', error.response.data);
+      logger.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
+      logger.debug('Response data:', error.response.data);
     }
   }
 };
 
-setProjectProperties();
+if (isEntryPoint(import.meta.url)) {
+  setProjectProperties();
+}
 
 
 /*
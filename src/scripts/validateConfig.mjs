@@ -0,0 +1,52 @@
+import { readConfig } from '../lib/config.mjs';
+import { validateConfig } from '../lib/configSchema.mjs';
+import { isEntryPoint } from '../lib/entryPoint.mjs';
+import { logger } from '../lib/logger.mjs';
+
+const defaultConfigPath = '../config.json';
+
+//
+//  Check a config file (with the same command line and environment overrides as a real run) without
+//  contacting Polaris.  Lists every problem found; the exit code is 1 if any of them is an error.
+//  With a multi-tenant config every tenant is checked, and its problems are prefixed with its name.
+//
+
+const validateTenants = async (configPath, config, overrides, { errors, warnings }) => {
+  for (const { customer } of config.tenants) {
+    const result = validateConfig(await readConfig(configPath, { ...overrides, tenant: customer }));
+
+    // Problems in the shared settings are already listed once
+    errors.push(...result.errors.filter(error => !errors.includes(error)).map(error => `[${customer}] ${error}`));
+    warnings.push(...result.warnings.filter(warning => !warnings.includes(warning)).map(warning => `[${customer}] ${warning}`));
+  }
+};
+
+export const validateConfigFile = async ({ configPath = defaultConfigPath, ...overrides } = {}) => {
+  try {
+    const config = await readConfig(configPath, overrides);
+    const { errors, warnings } = validateConfig(config);
+
+    if (config && Array.isArray(config.tenants) && errors.length === 0) {
+      await validateTenants(configPath, config, overrides, { errors, warnings });
+    }
+
+    errors.forEach(error => logger.error(`Error: ${error}`));
+    warnings.forEach(warning => logger.warn(`Warning: ${warning}`));
+
+    if (errors.length > 0) {
+      process.exitCode = 1;
+      logger.error(`${configPath} has ${errors.length} problem${errors.length === 1 ? '' : 's'}.`);
+      return;
+    }
+
+    logger.info(`${configPath} is valid.`);
+
+  } catch (error) {
+    process.exitCode = 1;
+    logger.error('Error:', error.message);
+  }
+};
+
+if (isEntryPoint(import.meta.url)) {
+  validateConfigFile();
+}
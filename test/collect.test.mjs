@@ -0,0 +1,660 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import vm from 'vm';
+import initSqlJs from 'sql.js';
+import ExcelJS from 'exceljs';
+import { main } from '../src/main.mjs';
+import { collectAllTenants } from '../src/collectTenants.mjs';
+import { combineDataAndGenerateCsv } from '../src/createReport.mjs';
+import { buildTables } from '../src/lib/relationalExport.mjs';
+import { writeTablesSqlite } from '../src/lib/sqliteExport.mjs';
+import { buildDashboardData, renderDashboard } from '../src/lib/htmlReport.mjs';
+import { buildSummaryMarkdown } from '../src/lib/markdownSummary.mjs';
+import { writeWorkbook } from '../src/lib/workbookExport.mjs';
+import { setProjectProperties } from '../src/scripts/setProjectProperties.mjs';
+import { fetchProjectsWithAuth as fetchProjectUserInformation } from '../src/scripts/getProjectUserInformation.mjs';
+import { resolveExistingFilePolicy } from '../src/lib/existingOutput.mjs';
+import { configureLogger } from '../src/lib/logger.mjs';
+import { startMockPolaris } from './mock/polarisMock.mjs';
+
+//
+//  End-to-end runs of `collect` (main.mjs) and `report` (createReport.mjs) against the mock Polaris
+//  server.  Every test gets a fresh output directory; the mock is shared unless a test needs faults.
+//
+
+configureLogger({ level: 'error' });
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+const csvRows = async (filePath) => (await fs.readFile(filePath, 'utf8')).trim().split('\n');
+
+const writeConfig = async (directory, mock, settings = {}) => {
+  const configPath = path.join(directory, 'config.json');
+  await fs.writeFile(configPath, JSON.stringify({
+    customer: 'mock',
+    email: mock.credentials.email,
+    accesstoken: mock.credentials.accesstoken,
+    baseUrl: mock.url,
+    ...settings
+  }, null, 2));
+  return configPath;
+};
+
+describe('collect and report against the mock Polaris', () => {
+  let mock;
+  let workDirectory;
+  let outputDirectory;
+
+  before(async () => {
+    mock = await startMockPolaris();
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  beforeEach(async () => {
+    workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'cop-profiler-'));
+    outputDirectory = path.join(workDirectory, 'output');
+  });
+
+  afterEach(async () => {
+    process.exitCode = 0;
+    await fs.rm(workDirectory, { recursive: true, force: true });
+  });
+
+  it('collects every page of every entity and writes a complete run manifest', async () => {
+    const configPath = await writeConfig(workDirectory, mock, { concurrency: 4 });
+
+    const manifest = await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+    assert.equal(manifest.complete, true);
+    assert.deepEqual(manifest.failures, []);
+    assert.equal(manifest.tenant, 'mock');
+    assert.equal(manifest.counts.applications, mock.fixture.applications.length);
+    assert.equal(manifest.counts.projects, mock.fixture.projects.length);
+    assert.equal(manifest.counts.branches, mock.fixture.branches.length);
+    assert.equal(process.exitCode || 0, 0);
+
+    const applications = await readJson(path.join(outputDirectory, 'applicationsList.json'));
+    assert.deepEqual(applications.map(application => application.id), mock.fixture.applications.map(application => application.id));
+
+    const branches = await readJson(path.join(outputDirectory, 'branchesList.json'));
+    assert.equal(branches.data.length, mock.fixture.branches.length);
+
+    // Role assignments come back in project order even when fetched in parallel
+    const details = await readJson(path.join(outputDirectory, 'userDetailsList.json'));
+    const projectOrder = [...new Set(details.map(detail => detail.projectId))];
+    assert.deepEqual(projectOrder, mock.fixture.projects.map(project => project.id));
+
+    const writtenManifest = await readJson(path.join(outputDirectory, 'run-manifest.json'));
+    assert.equal(writtenManifest.complete, true);
+
+    await assert.rejects(fs.access(path.join(outputDirectory, '.checkpoint', 'roleAssignments.jsonl')));
+  });
+
+  it('combines the collected data into finalProjectDetails.csv', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+    await combineDataAndGenerateCsv({ outputDirectory });
+
+    const [header, ...rows] = await csvRows(path.join(outputDirectory, 'finalProjectDetails.csv'));
+    assert.match(header, /"applicationName","projectName","projectId","type","name","email"/);
+
+    const details = await readJson(path.join(outputDirectory, 'userDetailsList.json'));
+    assert.equal(rows.length, details.length);
+
+    const unassigned = mock.fixture.projects[mock.fixture.projects.length - 1];
+    assert.ok(rows.some(row => row.includes(`"No Application Name","${unassigned.attributes.name}"`)));
+    assert.ok(rows.some(row => row.startsWith('"Application 1","Project 1"')));
+    assert.ok(rows.some(row => row.startsWith('"Application 1","Project 1","project-1","Individual User","User 1","user1@example.com","Admin"')));
+    assert.ok(rows.some(row => row.startsWith('"Application 1","Project 1","project-1","Group","Group 1","","Observer"')));
+
+    const [detailsHeader, detailsRow] = await csvRows(path.join(outputDirectory, 'userDetailsList.csv'));
+    assert.equal(detailsHeader, 'Project Name,Project ID,Type,Name,Email,Role,Role ID,Role Assignment ID,Principal ID');
+    assert.equal(detailsRow, 'Project 1,project-1,User,User 1,user1@example.com,Admin,role-1,ra-project-1-admin,user-1');
+  });
+
+  it('expands group membership into effective access per project and user', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    const manifest = await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+    assert.equal(manifest.stages.groupMembers, 'ok');
+    assert.equal(manifest.counts.groupMembers, mock.fixture.groupMemberships.length);
+
+    const groupMembers = await readJson(path.join(outputDirectory, 'groupMembers.json'));
+    assert.deepEqual(groupMembers.map(group => group.groupId), mock.fixture.groups.map(group => group.id));
+    assert.deepEqual(groupMembers[0].members.map(member => member.userId), ['user-1', 'user-5', 'user-9']);
+
+    // Project 1: User 1 is Admin and in Group 1, User 2 is Contributor, Group 1 is Observer
+    const [header, ...rows] = await csvRows(path.join(outputDirectory, 'effectiveAccess.csv'));
+    assert.equal(header, 'Project Name,Project ID,User ID,Name,Email,Access,Direct Roles,Via Groups');
+    assert.deepEqual(rows.filter(row => row.startsWith('Project 1,')), [
+      'Project 1,project-1,user-1,User 1,user1@example.com,direct and group,Admin,Group 1 (Observer)',
+      'Project 1,project-1,user-2,User 2,user2@example.com,direct,Contributor,',
+      'Project 1,project-1,user-5,User 5,user5@example.com,group,,Group 1 (Observer)',
+      'Project 1,project-1,user-9,User 9,user9@example.com,group,,Group 1 (Observer)'
+    ]);
+  });
+
+  it('fails the report with exit code 1 when the collected files are missing', async () => {
+    const written = await combineDataAndGenerateCsv({ outputDirectory });
+
+    assert.equal(written, false);
+    assert.equal(process.exitCode, 1);
+    await assert.rejects(fs.access(path.join(outputDirectory, 'finalProjectDetails.csv')));
+  });
+
+  it('keeps every branch in the report, in each branch layout', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    await main({ configPath, outputDirectory, existingFiles: 'force' });
+    const branchesPerProject = mock.fixture.branches.filter(branch => branch.relationships.project.data.id === 'project-1').length;
+
+    await combineDataAndGenerateCsv({ outputDirectory });
+    const [columnsHeader] = await csvRows(path.join(outputDirectory, 'finalProjectDetails.csv'));
+    assert.match(columnsHeader, new RegExp(`"branchName${branchesPerProject}"$`));
+
+    await combineDataAndGenerateCsv({ outputDirectory, maxBranchColumns: 5 });
+    const [cappedHeader] = await csvRows(path.join(outputDirectory, 'finalProjectDetails.csv'));
+    assert.match(cappedHeader, /"branchName5"$/);
+
+    await combineDataAndGenerateCsv({ outputDirectory, branches: 'list' });
+    const [listHeader, listRow] = await csvRows(path.join(outputDirectory, 'finalProjectDetails.csv'));
+    assert.match(listHeader, /"email","role","branchNames"$/);
+    assert.equal(listRow.split('; ').length, branchesPerProject);
+
+    await combineDataAndGenerateCsv({ outputDirectory, branches: 'sheet' });
+    const [sheetHeader] = await csvRows(path.join(outputDirectory, 'finalProjectDetails.csv'));
+    assert.match(sheetHeader, /"email","role","branchCount"$/);
+    const [branchHeader, ...branchRows] = await csvRows(path.join(outputDirectory, 'finalProjectBranches.csv'));
+    assert.equal(branchHeader, '"projectName","projectId","branchName"');
+    assert.equal(branchRows.length, mock.fixture.branches.length);
+  });
+
+  it('exports normalized tables keyed by Polaris IDs', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+    await combineDataAndGenerateCsv({ outputDirectory, format: 'tables' });
+
+    const table = (name) => csvRows(path.join(outputDirectory, 'tables', `${name}.csv`));
+
+    const [projectsHeader, ...projects] = await table('projects');
+    assert.equal(projectsHeader, '"projectId","name"');
+    assert.equal(projects.length, mock.fixture.projects.length);
+
+    assert.equal((await table('branches')).length - 1, mock.fixture.branches.length);
+    assert.equal((await table('users')).length - 1, mock.fixture.users.length);
+    assert.equal((await table('groups')).length - 1, mock.fixture.groups.length);
+    assert.ok((await table('application_projects')).includes('"application-1","project-1"'));
+    assert.ok((await table('project_properties')).includes('"project-1","team","team-0"'));
+
+    const [, ...principals] = await table('project_principals');
+    const details = await readJson(path.join(outputDirectory, 'userDetailsList.json'));
+    assert.equal(principals.length, details.length);
+    assert.ok(principals.every(row => /^"project-\d+","(user","user|group","group)-\d+","role-\d","ra-project-\d+-\w+"$/.test(row)));
+    assert.deepEqual(await table('roles'), ['"roleId","name"', '"role-1","Admin"', '"role-2","Contributor"', '"role-3","Observer"']);
+    assert.equal((await table('group_members')).length - 1, mock.fixture.groupMemberships.length);
+    assert.ok((await table('group_members')).includes('"group-1","user-5"'));
+  });
+
+  it('exports the inventory to SQLite with foreign keys and indexes', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+    await combineDataAndGenerateCsv({ outputDirectory, format: 'sqlite' });
+
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(await fs.readFile(path.join(outputDirectory, 'inventory.sqlite')));
+    const query = (sql) => db.exec(sql)[0]?.values || [];
+
+    try {
+      assert.deepEqual(query('SELECT COUNT(*) FROM projects'), [[mock.fixture.projects.length]]);
+      assert.deepEqual(query('SELECT COUNT(*) FROM branches WHERE isMain = 1'), [[mock.fixture.projects.length]]);
+      assert.deepEqual(query('SELECT "table" FROM pragma_foreign_key_list(\'application_projects\')').flat().sort(), ['applications', 'projects']);
+      assert.ok(query('SELECT name FROM sqlite_master WHERE type = \'index\'').flat().includes('branches_projectId'));
+      assert.deepEqual(query('SELECT COUNT(*) FROM pragma_foreign_key_check'), [[0]]);
+
+      const [[users]] = query(`
+        SELECT COUNT(*) FROM project_principals pp JOIN users u ON u.userId = pp.principalId
+         WHERE pp.projectId = 'project-1' AND pp.principalType = 'user'`);
+      assert.equal(users, 2);
+    } finally {
+      db.close();
+    }
+  });
+
+  it('keeps role assignments collected without role IDs within the foreign keys', async () => {
+    const tables = buildTables({
+      projects: [{ id: 'project-1', name: 'Project 1' }],
+      details: [{ projectName: 'Project 1', projectId: 'project-1', userType: 'User', name: 'User 1', email: 'user1@example.com' }]
+    });
+    const filePath = path.join(workDirectory, 'legacy.sqlite');
+    await writeTablesSqlite(filePath, tables);
+
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(await fs.readFile(filePath));
+
+    try {
+      assert.deepEqual(db.exec('SELECT principalId, roleId, roleAssignmentId FROM project_principals')[0].values, [['user:user1@example.com', null, null]]);
+      assert.deepEqual(db.exec('SELECT COUNT(*) FROM pragma_foreign_key_check')[0].values, [[0]]);
+    } finally {
+      db.close();
+    }
+  });
+
+  it('writes an Excel workbook with a sheet per entity and an access matrix', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+    await combineDataAndGenerateCsv({ outputDirectory, format: 'xlsx' });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(path.join(outputDirectory, 'finalProjectDetails.xlsx'));
+
+    assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), ['Summary', 'Applications', 'Projects', 'Branches', 'Users', 'Groups', 'Access matrix']);
+
+    const projects = workbook.getWorksheet('Projects');
+    assert.equal(projects.rowCount, mock.fixture.projects.length + 1);
+    assert.equal(projects.views[0].state, 'frozen');
+    assert.ok(projects.autoFilter);
+    const project1Branches = mock.fixture.branches.filter(branch => branch.relationships.project.data.id === 'project-1').length;
+    assert.deepEqual(projects.getRow(2).values.slice(1, 6), ['project-1', 'Project 1', 'Application 1', 'main', project1Branches]);
+
+    assert.equal(workbook.getWorksheet('Branches').rowCount, mock.fixture.branches.length + 1);
+
+    const matrix = workbook.getWorksheet('Access matrix');
+    const headers = matrix.getRow(1).values;
+    const project1 = matrix.getRow(2).values;
+    assert.equal(project1[headers.indexOf('User 1')], 'Admin');
+    assert.equal(project1[headers.indexOf('User 2')], 'Contributor');
+    assert.equal(project1[headers.indexOf('Group 1 (group)')], 'Observer');
+  });
+
+  it('writes a self-contained HTML dashboard', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+    await combineDataAndGenerateCsv({ outputDirectory, format: 'html' });
+
+    const html = await fs.readFile(path.join(outputDirectory, 'migrationDashboard.html'), 'utf8');
+    assert.doesNotMatch(html, /(src|href)=/);
+
+    const [, json] = html.match(/<script type="application\/json" id="report-data">(.*?)<\/script>/s);
+    const data = JSON.parse(json);
+    assert.equal(data.tenant, 'mock');
+    assert.deepEqual(data.totals, {
+      applications: mock.fixture.applications.length,
+      projects: mock.fixture.projects.length,
+      branches: mock.fixture.branches.length,
+      users: mock.fixture.users.length,
+      groups: mock.fixture.groups.length
+    });
+
+    const [, pageScript] = html.match(/<script>(.*?)<\/script>/s);
+    assert.doesNotThrow(() => new vm.Script(pageScript));
+  });
+
+  it('keeps names out of the dashboard markup', () => {
+    const tables = buildTables({ projects: [{ id: 'project-1', name: '</script><img src=x onerror=alert(1)>' }] });
+    const html = renderDashboard(buildDashboardData(tables));
+
+    assert.equal(html.match(/<\/script>/g).length, 2);
+    assert.doesNotMatch(html, /<img/);
+  });
+
+  it('draws the dashboard when a project or application has no name', () => {
+    const tables = buildTables({
+      applications: [{ id: 'application-1', name: null }],
+      projects: [{ id: 'project-1', name: null }, { id: 'project-2', name: 'Project 2' }]
+    });
+    const html = renderDashboard(buildDashboardData(tables));
+    const [, json] = html.match(/<script type="application\/json" id="report-data">(.*?)<\/script>/s);
+    const [, pageScript] = html.match(/<script>(.*?)<\/script>/s);
+
+    // Just enough DOM for the page script to run
+    class Node {
+      constructor() {
+        this.children = [];
+        this.classList = { add: () => {}, remove: () => {} };
+        this.textContent = '';
+        this.value = '';
+      }
+      setAttribute() {}
+      addEventListener() {}
+      scrollIntoView() {}
+      append(...children) { this.children.push(...children); }
+      replaceChildren(...children) { this.children = children; }
+    }
+    const sections = new Map();
+    const document = {
+      getElementById: id => id === 'report-data' ? { textContent: json } : sections.get(id) || sections.set(id, new Node()).get(id),
+      createElement: () => new Node(),
+      createElementNS: () => new Node(),
+      createTextNode: text => Object.assign(new Node(), { textContent: text })
+    };
+
+    vm.runInNewContext(pageScript, { document, Node });
+
+    const barLabels = sections.get('chart-branches').children[1].children
+      .filter(child => child.children.length === 1)
+      .map(child => child.textContent);
+    assert.deepEqual(barLabels.sort(), ['', 'Project 2']);
+  });
+
+  it('counts a user or group with several roles on a project once in every report', async () => {
+    const detail = (userType, principalId, name, roleId, roleName) => ({
+      projectName: 'Project 1', projectId: 'project-1', userType, principalId, name, email: '', roleId, roleName, roleAssignmentId: `ra-${principalId}-${roleId}`
+    });
+    const tables = buildTables({
+      projects: [{ id: 'project-1', name: 'Project 1' }],
+      details: [
+        detail('User', 'user-1', 'Alice', 'role-1', 'Admin'),
+        detail('User', 'user-1', 'Alice', 'role-2', 'Contributor'),
+        detail('GroupName', 'group-1', 'Devs', 'role-2', 'Contributor'),
+        detail('GroupName', 'group-1', 'Devs', 'role-3', 'Observer')
+      ]
+    });
+
+    const dashboard = buildDashboardData(tables);
+    assert.deepEqual(dashboard.users.map(user => user.projects), [1]);
+    assert.deepEqual(dashboard.groups.map(group => group.projects), [1]);
+    assert.deepEqual(dashboard.projects[0].users, ['Alice (Admin, Contributor)']);
+    assert.deepEqual(dashboard.projects[0].groups, ['Devs (Contributor, Observer)']);
+
+    assert.match(buildSummaryMarkdown(tables), /\| Devs \| 1 \|/);
+
+    const filePath = path.join(workDirectory, 'roles.xlsx');
+    await writeWorkbook(filePath, tables);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    const values = (sheetName, rowNumber) => workbook.getWorksheet(sheetName).getRow(rowNumber).values.slice(1);
+    assert.deepEqual(values('Projects', 2).slice(4, 7), [0, 1, 1]);
+    assert.equal(values('Users', 2)[3], 1);
+    assert.equal(values('Groups', 2)[2], 1);
+  });
+
+  it('writes a Markdown executive summary', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+    await combineDataAndGenerateCsv({ outputDirectory, format: 'markdown' });
+
+    const summary = await fs.readFile(path.join(outputDirectory, 'executiveSummary.md'), 'utf8');
+    assert.match(summary, /^# Polaris environment summary: mock$/m);
+    assert.match(summary, new RegExp(`^\\| Projects \\| ${mock.fixture.projects.length} \\|$`, 'm'));
+    assert.match(summary, /^\| Application 1 \| 2 \|$/m);
+
+    const unassigned = mock.fixture.projects[mock.fixture.projects.length - 1];
+    assert.match(summary, new RegExp(`## Projects without an application\n\n2 projects \\(5%\\)[^]*^- ${unassigned.attributes.name}$`, 'm'));
+    assert.match(summary, /## Data-quality warnings\n\nNone\.\n$/);
+  });
+
+  it('authenticates with email and password', async () => {
+    const configPath = await writeConfig(workDirectory, mock, { accesstoken: '', password: mock.credentials.password });
+
+    const manifest = await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+    assert.equal(manifest.complete, true);
+    assert.ok(mock.requests.some(request => request.path === '/api/auth/v1/authenticate'));
+  });
+
+  it('fails the run and skips the later stages when authentication is rejected', async () => {
+    const configPath = await writeConfig(workDirectory, mock, { accesstoken: 'wrong-token' });
+
+    const manifest = await main({ configPath, outputDirectory, existingFiles: 'force', maxAttempts: 1 });
+
+    assert.equal(manifest.complete, false);
+    assert.equal(manifest.stages.applications, 'failed');
+    assert.equal(manifest.stages.projects, 'skipped');
+    assert.equal(manifest.failures[0].code, 'HTTP 401');
+    assert.equal(process.exitCode, 1);
+  });
+
+  it('reuses existing output files with the reuse policy', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+    const requestsBefore = mock.requests.length;
+    const manifest = await main({ configPath, outputDirectory, existingFiles: 'reuse' });
+
+    assert.equal(manifest.stages.applications, 'reused');
+    assert.equal(manifest.stages.branches, 'reused');
+    assert.ok(mock.requests.slice(requestsBefore).every(request => !request.path.endsWith('/applications')));
+  });
+
+  it('keeps the earlier run manifest when the run is refused or stops on its config', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    await main({ configPath, outputDirectory, existingFiles: 'force' });
+    const manifestPath = path.join(outputDirectory, 'run-manifest.json');
+    const earlier = await fs.readFile(manifestPath, 'utf8');
+
+    const refused = await main({ configPath, outputDirectory, existingFiles: 'fail' });
+    assert.equal(refused.stages.applications, 'failed');
+    assert.equal(refused.failures[0].code, 'EEXIST');
+    assert.equal(process.exitCode, 1);
+    assert.equal(await fs.readFile(manifestPath, 'utf8'), earlier);
+
+    const otherDirectory = path.join(workDirectory, 'other');
+    await assert.rejects(main({ configPath: path.join(workDirectory, 'missing.json'), outputDirectory: otherDirectory, existingFiles: 'force' }));
+    await assert.rejects(fs.access(path.join(otherDirectory, 'run-manifest.json')));
+  });
+
+  it('fetches the role assignments again on --resume when the projects were fetched again', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+    const forced = await main({ configPath, outputDirectory, resume: true, existingFiles: 'force' });
+    assert.equal(forced.stages.projects, 'ok');
+    assert.equal(forced.stages.roleAssignments, 'ok');
+
+    await fs.rm(path.join(outputDirectory, 'projectList.json'));
+    const requestsBefore = mock.requests.length;
+    const resumed = await main({ configPath, outputDirectory, resume: true });
+    assert.equal(resumed.stages.projects, 'ok');
+    assert.equal(resumed.stages.roleAssignments, 'ok');
+    assert.ok(mock.requests.slice(requestsBefore).some(request => request.path === '/api/auth/v2/role-assignments'));
+
+    const kept = await main({ configPath, outputDirectory, resume: true });
+    assert.equal(kept.stages.projects, 'reused');
+    assert.equal(kept.stages.roleAssignments, 'reused');
+  });
+
+  it('reuses projectList.json for the users command without a terminal, unless told to fail', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    await main({ configPath, outputDirectory, existingFiles: 'force' });
+    const requestsBefore = mock.requests.length;
+
+    // No --force / --reuse-existing / --fail-if-exists and no terminal, as in CI
+    assert.equal(process.stdin.isTTY, undefined);
+    await fetchProjectUserInformation({ configPath, outputDirectory });
+
+    assert.equal(process.exitCode || 0, 0);
+    assert.ok(mock.requests.slice(requestsBefore).every(request => request.path !== '/api/common/v0/projects'));
+
+    await fetchProjectUserInformation({ configPath, outputDirectory, existingFiles: resolveExistingFilePolicy({ failIfExists: true }) });
+    assert.equal(process.exitCode, 1);
+  });
+
+  it('profiles every tenant into its own directory and fails the run when one tenant is rejected', async () => {
+    const configPath = path.join(workDirectory, 'multi.json');
+    await fs.writeFile(configPath, JSON.stringify({
+      baseUrl: mock.url,
+      tenants: [
+        { customer: 'good', email: mock.credentials.email, accesstoken: mock.credentials.accesstoken },
+        { customer: 'bad', email: mock.credentials.email, accesstoken: 'wrong-token' }
+      ]
+    }, null, 2));
+
+    await collectAllTenants({ configPath, outputDirectory, existingFiles: 'force' });
+
+    assert.equal(process.exitCode, 1);
+    await fs.access(path.join(outputDirectory, 'good', 'finalProjectDetails.csv'));
+    assert.equal((await readJson(path.join(outputDirectory, 'bad', 'run-manifest.json'))).failures[0].code, 'HTTP 401');
+
+    const [header, ...rows] = await csvRows(path.join(outputDirectory, 'tenantSummary.csv'));
+    assert.equal(header, '"tenant","status","applications","projects","branches","users","groups","outputDirectory","error"');
+    assert.equal(rows.length, 2);
+    assert.ok(rows[0].startsWith(`"good","ok",${mock.fixture.applications.length},${mock.fixture.projects.length},${mock.fixture.branches.length},${mock.fixture.users.length},${mock.fixture.groups.length},`));
+    assert.ok(rows[1].startsWith('"bad","failed",'));
+  });
+
+  it('posts the properties in projectList.json to each project', async () => {
+    const configPath = await writeConfig(workDirectory, mock);
+    await main({ configPath, outputDirectory, existingFiles: 'force' });
+    mock.propertyUpdates.length = 0;
+
+    await setProjectProperties({ configPath, outputDirectory });
+
+    assert.equal(mock.propertyUpdates.length, mock.fixture.projects.length);
+    assert.deepEqual(mock.propertyUpdates[0], { projects: ['project-1'], properties: { team: 'team-0' } });
+  });
+});
+
+describe('collect with injected faults', () => {
+  let workDirectory;
+  let outputDirectory;
+
+  beforeEach(async () => {
+    workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'cop-profiler-'));
+    outputDirectory = path.join(workDirectory, 'output');
+  });
+
+  afterEach(async () => {
+    process.exitCode = 0;
+    await fs.rm(workDirectory, { recursive: true, force: true });
+  });
+
+  it('retries rate-limited and dropped requests', async () => {
+    const mock = await startMockPolaris({
+      faults: [
+        { path: '/api/common/v0/projects', status: 429, retryAfter: 0, times: 2 },
+        { path: '/api/common/v0/branches', reset: true, times: 1 }
+      ]
+    });
+
+    try {
+      const configPath = await writeConfig(workDirectory, mock);
+      const manifest = await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+      assert.equal(manifest.complete, true);
+      assert.equal(manifest.counts.projects, mock.fixture.projects.length);
+      assert.equal(mock.faults.every(fault => fault.times === 0), true);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it('re-authenticates and replays the request when the token expires', async () => {
+    const mock = await startMockPolaris({ tokenLifetime: 10 });
+
+    try {
+      const configPath = await writeConfig(workDirectory, mock);
+      const manifest = await main({ configPath, outputDirectory, existingFiles: 'force' });
+
+      assert.equal(manifest.complete, true);
+      assert.ok(mock.requests.filter(request => request.path === '/api/auth/v2/authenticate').length > 1);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it('records a failed project, keeps the others and fetches it again on --resume', async () => {
+    const failedProject = 'project-3';
+    const mock = await startMockPolaris({
+      faults: [{ path: '/api/auth/v2/role-assignments', query: `projects:${failedProject}&`, status: 500, times: Infinity }]
+    });
+
+    try {
+      const configPath = await writeConfig(workDirectory, mock);
+      const manifest = await main({ configPath, outputDirectory, existingFiles: 'force', maxAttempts: 1 });
+
+      assert.equal(manifest.complete, false);
+      assert.equal(manifest.stages.roleAssignments, 'partial');
+      assert.equal(manifest.stages.branches, 'ok');
+      assert.deepEqual(manifest.failures.map(failure => [failure.projectId, failure.code]), [[failedProject, 'HTTP 500']]);
+      assert.equal(process.exitCode, 1);
+
+      const details = await readJson(path.join(outputDirectory, 'userDetailsList.json'));
+      assert.equal(details.some(detail => detail.projectId === failedProject), false);
+      assert.equal(details.some(detail => detail.projectId === 'project-4'), true);
+
+      // The fault clears; only the failed project is requested again
+      mock.faults.length = 0;
+      process.exitCode = 0;
+      const requestsBefore = mock.requests.length;
+
+      const resumed = await main({ configPath, outputDirectory, resume: true });
+
+      assert.equal(resumed.complete, true);
+      const roleAssignmentRequests = mock.requests.slice(requestsBefore).filter(request => request.path === '/api/auth/v2/role-assignments');
+      assert.equal(roleAssignmentRequests.length, 1);
+
+      const resumedDetails = await readJson(path.join(outputDirectory, 'userDetailsList.json'));
+      assert.equal(resumedDetails.some(detail => detail.projectId === failedProject), true);
+
+      // The role assignments changed, so the group members are fetched again; once both are kept, so are they
+      assert.equal(resumed.stages.groupMembers, 'ok');
+      const again = await main({ configPath, outputDirectory, resume: true });
+      assert.equal(again.stages.roleAssignments, 'reused');
+      assert.equal(again.stages.groupMembers, 'reused');
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it('records a failed group, leaves its members out of effective access and fetches it again on --resume', async () => {
+    const mock = await startMockPolaris({
+      faults: [{ path: '/api/auth/v2/users', query: '=group-2&', status: 500, times: Infinity }]
+    });
+
+    try {
+      const configPath = await writeConfig(workDirectory, mock);
+      const manifest = await main({ configPath, outputDirectory, existingFiles: 'force', maxAttempts: 1 });
+
+      assert.equal(manifest.complete, false);
+      assert.equal(manifest.stages.groupMembers, 'partial');
+      assert.equal(manifest.stages.branches, 'ok');
+      assert.deepEqual(manifest.failures.map(failure => [failure.stage, failure.groupId, failure.code]), [['groupMembers', 'group-2', 'HTTP 500']]);
+
+      const effectiveAccess = await fs.readFile(path.join(outputDirectory, 'effectiveAccess.csv'), 'utf8');
+      assert.equal(effectiveAccess.includes('Group 2 ('), false);
+      assert.equal(effectiveAccess.includes('Group 1 ('), true);
+
+      mock.faults.length = 0;
+      process.exitCode = 0;
+      const requestsBefore = mock.requests.length;
+
+      const resumed = await main({ configPath, outputDirectory, resume: true });
+
+      assert.equal(resumed.complete, true);
+      const memberRequests = mock.requests.slice(requestsBefore).filter(request => request.path === '/api/auth/v2/users');
+      assert.deepEqual(memberRequests.map(request => request.query.includes('=group-2&')), [true]);
+      assert.equal((await fs.readFile(path.join(outputDirectory, 'effectiveAccess.csv'), 'utf8')).includes('Group 2 (Observer)'), true);
+    } finally {
+      await mock.close();
+    }
+  });
+
+  it('records the page offset when a page keeps failing', async () => {
+    const mock = await startMockPolaris({
+      faults: [{ path: '/api/common/v0/branches', query: 'page[offset]=500', status: 503, times: Infinity }]
+    });
+
+    try {
+      const configPath = await writeConfig(workDirectory, mock);
+      const manifest = await main({ configPath, outputDirectory, existingFiles: 'force', maxAttempts: 1 });
+
+      assert.equal(manifest.complete, false);
+      assert.equal(manifest.stages.branches, 'failed');
+      assert.equal(manifest.stages.projectBranches, 'skipped');
+      assert.deepEqual(manifest.failures.map(failure => [failure.stage, failure.offset, failure.code]), [['branches', 500, 'HTTP 503']]);
+    } finally {
+      await mock.close();
+    }
+  });
+});
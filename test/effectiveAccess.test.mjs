@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEffectiveAccess } from '../src/lib/effectiveAccess.mjs';
+
+//
+//  buildEffectiveAccess on role assignments and group memberships the mock tenant never produces.
+//
+
+const detail = (projectId, userType, principalId, name, roleName) => ({
+  projectName: `Project ${projectId}`,
+  projectId,
+  userType,
+  principalId,
+  name,
+  email: userType === 'User' ? `${principalId}@example.com` : '',
+  roleName
+});
+
+const member = (userId, name) => ({ userId, name, email: `${userId}@example.com` });
+
+const rows = (result) => result.rows.map(row => [row.projectId, row.userId, row.access, row.directRoles, row.viaGroups]);
+
+describe('buildEffectiveAccess', () => {
+  it('lists every group that gives a user access, with the role it holds', () => {
+    const result = buildEffectiveAccess([
+      detail('p1', 'GroupName', 'g1', 'Developers', 'Contributor'),
+      detail('p1', 'GroupName', 'g2', 'Reviewers', 'Observer')
+    ], [
+      { groupId: 'g1', groupName: 'Developers', members: [member('alice', 'Alice')] },
+      { groupId: 'g2', groupName: 'Reviewers', members: [member('alice', 'Alice'), member('bob', 'Bob')] }
+    ]);
+
+    assert.deepEqual(rows(result), [
+      ['p1', 'alice', 'group', '', 'Developers (Contributor); Reviewers (Observer)'],
+      ['p1', 'bob', 'group', '', 'Reviewers (Observer)']
+    ]);
+  });
+
+  it('combines direct roles and group access of the same user on a project', () => {
+    const result = buildEffectiveAccess([
+      detail('p1', 'User', 'alice', 'Alice', 'Admin'),
+      detail('p1', 'User', 'alice', 'Alice', 'Contributor'),
+      detail('p1', 'GroupName', 'g1', 'Developers', 'Contributor'),
+      detail('p2', 'GroupName', 'g1', 'Developers', 'Observer')
+    ], [
+      { groupId: 'g1', groupName: 'Developers', members: [member('alice', 'Alice')] }
+    ]);
+
+    assert.deepEqual(rows(result), [
+      ['p1', 'alice', 'direct and group', 'Admin; Contributor', 'Developers (Contributor)'],
+      ['p2', 'alice', 'group', '', 'Developers (Observer)']
+    ]);
+  });
+
+  it('reports the groups whose members are not known', () => {
+    const result = buildEffectiveAccess([
+      detail('p1', 'User', 'alice', 'Alice', 'Admin'),
+      detail('p1', 'GroupName', 'g1', 'Developers', 'Contributor'),
+      detail('p1', 'GroupName', 'g2', 'Empty', 'Observer')
+    ], [
+      { groupId: 'g2', groupName: 'Empty', members: [] }
+    ]);
+
+    assert.deepEqual(rows(result), [['p1', 'alice', 'direct', 'Admin', '']]);
+    assert.deepEqual(result.unexpandedGroups, [{ groupId: 'g1', groupName: 'Developers' }]);
+  });
+});
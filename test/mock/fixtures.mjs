@@ -0,0 +1,118 @@
+/*
+ *    Deterministic tenant data for the mock Polaris server, shaped like the JSON:API resources the real
+ *    API returns.  The default sizes are chosen so every paginated collection needs more than one page
+ *    with the page limits the client uses (applications 25, branches 500).
+ *
+ *      - project i belongs to application i % applications, except the last `unassignedProjects`
+ *      - every project has an Admin user, a Contributor user and an Observer group
+ *      - user i is a member of group i % groups, so a group's members include users with and without a
+ *        direct role on the projects the group is assigned to
+ */
+
+const projectUrn = (projectId) => `urn:x-swip:projects:${projectId}`;
+
+export const createTenantFixture = ({
+  applications: applicationCount = 30,
+  projects: projectCount = 40,
+  unassignedProjects = 2,
+  branchesPerProject = 13,
+  users: userCount = 12,
+  groups: groupCount = 4
+} = {}) => {
+  const roles = ['Admin', 'Contributor', 'Observer'].map((name, index) => ({
+    id: `role-${index + 1}`,
+    type: 'roles',
+    attributes: { name }
+  }));
+  const [adminRole, contributorRole, observerRole] = roles;
+
+  const users = Array.from({ length: userCount }, (_, index) => ({
+    id: `user-${index + 1}`,
+    type: 'users',
+    attributes: { name: `User ${index + 1}`, email: `user${index + 1}@example.com`, username: `user${index + 1}` }
+  }));
+
+  const groups = Array.from({ length: groupCount }, (_, index) => ({
+    id: `group-${index + 1}`,
+    type: 'groups',
+    attributes: { groupname: `Group ${index + 1}` }
+  }));
+
+  const projects = Array.from({ length: projectCount }, (_, index) => ({
+    id: `project-${index + 1}`,
+    type: 'projects',
+    attributes: {
+      name: `Project ${index + 1}`,
+      description: '',
+      properties: index % 2 === 0 ? { team: `team-${index % 5}` } : {}
+    },
+    relationships: {
+      branches: { links: { related: `/api/common/v0/branches?filter%5Bbranch%5D%5Bproject%5D%5Bid%5D%5B%24eq%5D=project-${index + 1}` } }
+    }
+  }));
+
+  const assignedProjects = projects.slice(0, projectCount - unassignedProjects);
+
+  const applications = Array.from({ length: applicationCount }, (_, index) => ({
+    id: `application-${index + 1}`,
+    type: 'applications',
+    attributes: { name: `Application ${index + 1}`, description: `Description of application ${index + 1}` },
+    relationships: {
+      projects: {
+        data: assignedProjects
+          .filter((_, projectIndex) => projectIndex % applicationCount === index)
+          .map(project => ({ id: project.id, type: 'projects' }))
+      }
+    }
+  }));
+
+  const branches = projects.flatMap((project, projectIndex) => Array.from({ length: branchesPerProject }, (_, index) => ({
+    id: `branch-${projectIndex + 1}-${index + 1}`,
+    type: 'branches',
+    attributes: { name: index === 0 ? 'main' : `feature-${index}`, 'main-for-project': index === 0 },
+    relationships: { project: { data: { id: project.id, type: 'projects' } } }
+  })));
+
+  const roleAssignments = projects.flatMap((project, index) => {
+    const assignment = (suffix, role, principal) => ({
+      id: `ra-${project.id}-${suffix}`,
+      type: 'role-assignments',
+      attributes: { object: projectUrn(project.id), 'expires-by': null },
+      relationships: {
+        role: { data: { id: role.id, type: 'roles' } },
+        [principal.type === 'users' ? 'user' : 'group']: { data: { id: principal.id, type: principal.type } }
+      }
+    });
+
+    return [
+      assignment('admin', adminRole, users[index % userCount]),
+      assignment('contributor', contributorRole, users[(index + 1) % userCount]),
+      assignment('observer', observerRole, groups[index % groupCount])
+    ];
+  });
+
+  const groupMemberships = users.map((user, index) => ({ groupId: groups[index % groupCount].id, userId: user.id }));
+
+  return { applications, projects, branches, users, groups, roles, roleAssignments, groupMemberships };
+};
+
+/* Role assignments on one project with the roles, users and groups they reference (JSON:API `included`) */
+
+export const roleAssignmentDocument = (fixture, projectId) => {
+  const data = fixture.roleAssignments.filter(assignment => assignment.attributes.object === projectUrn(projectId));
+
+  const referenced = new Set(data.flatMap(assignment => Object.values(assignment.relationships)
+    .map(relationship => `${relationship.data.type}/${relationship.data.id}`)));
+
+  const included = [...fixture.roles, ...fixture.users, ...fixture.groups]
+    .filter(resource => referenced.has(`${resource.type}/${resource.id}`));
+
+  return { data, included };
+};
+
+/* The users in one group */
+
+export const groupMembers = (fixture, groupId) => {
+  const memberIds = new Set(fixture.groupMemberships.filter(membership => membership.groupId === groupId).map(membership => membership.userId));
+  return fixture.users.filter(user => memberIds.has(user.id));
+};
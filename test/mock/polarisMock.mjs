@@ -0,0 +1,206 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Offline stand-in for a Polaris tenant, used by the integration tests and handy for trying the
+ *          profiler without touching a real tenant.  It serves the endpoints the profiler calls, at their
+ *          default paths, with JSON:API documents built from fixtures.mjs:
+ *
+ *            POST /api/auth/v1/authenticate                       email + password
+ *            POST /api/auth/v2/authenticate                       email + accesstoken
+ *            GET  /api/common/v0/applications                     page[limit] / page[offset]
+ *            GET  /api/common/v0/projects                         page[limit] / page[offset]
+ *            GET  /api/common/v0/branches                         page[limit] / page[offset]
+ *            GET  /api/auth/v2/role-assignments                   filter[role-assignments][object][$eq]
+ *            GET  /api/auth/v2/users                              filter[users][groups][id][$eq], page[limit] / page[offset]
+ *            POST /api/common/async/v0/projects/batch/set-property
+ *
+ *          Authentication hands out JWT-shaped tokens; every other call needs one as a Bearer token.
+ *          Errors can be injected per request (see `faults` below), and `tokenLifetime` makes tokens
+ *          expire after a number of calls to exercise re-authentication.
+ *
+ *      Usage:
+ *
+ *          node test/mock/polarisMock.mjs [port]        (or `npm run mock`)
+ *          cop-profiler collect --base-url http://localhost:4010 ...
+ *
+ * ==========================================================================================================
+ */
+
+import http from 'http';
+import { createTenantFixture, roleAssignmentDocument, groupMembers } from './fixtures.mjs';
+import { isEntryPoint } from '../../src/lib/entryPoint.mjs';
+
+export const defaultCredentials = {
+  email: 'profiler@example.com',
+  password: 'mock-password',
+  accesstoken: 'mock-access-token'
+};
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const issueToken = (email, serial) => [
+  base64url({ alg: 'HS256', typ: 'JWT' }),
+  base64url({ sub: email, serial, exp: Math.floor(Date.now() / 1000) + 3600 }),
+  'mock-signature'
+].join('.');
+
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const page = (records, query) => {
+  const limit = Number(query.get('page[limit]')) || 100;
+  const offset = Number(query.get('page[offset]')) || 0;
+  return {
+    data: records.slice(offset, offset + limit),
+    meta: { total: records.length, limit, offset }
+  };
+};
+
+//
+//  A fault applies to requests whose method and path match; `times` requests in a row get it (Infinity
+//  for all of them).  It either answers with `status` (plus `retryAfter` seconds when set) or, with
+//  `reset`, drops the connection without answering.
+//
+//    { path: '/api/common/v0/projects', status: 503, times: 2 }
+//    { path: '/api/auth/v2/role-assignments', query: 'project-3', status: 500, times: Infinity }
+//
+
+const findFault = (faults, method, pathname, search) => faults.find(fault =>
+  fault.times > 0
+  && (!fault.method || fault.method.toUpperCase() === method)
+  && (!fault.path || pathname === fault.path)
+  && (!fault.query || decodeURIComponent(search).includes(fault.query)));
+
+export const startMockPolaris = async ({
+  port = 0,
+  fixture = createTenantFixture(),
+  credentials = defaultCredentials,
+  faults = [],
+  tokenLifetime = Infinity
+} = {}) => {
+  const requests = [];
+  const propertyUpdates = [];
+  const tokens = new Map();
+  let tokenSerial = 0;
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'content-type': 'application/vnd.api+json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const authenticate = async (req, res, secretField) => {
+    const form = new URLSearchParams(await readBody(req));
+    if (form.get('email') !== credentials.email || form.get(secretField) !== credentials[secretField]) {
+      send(res, 401, { errors: [{ status: '401', title: 'Invalid credentials' }] });
+      return;
+    }
+
+    const jwt = issueToken(credentials.email, ++tokenSerial);
+    tokens.set(jwt, 0);
+    send(res, 200, { jwt }, { 'set-cookie': [`access_token=${jwt}; Path=/; HttpOnly`] });
+  };
+
+  /* true when the request carries a live token; counts the call against the token's lifetime */
+
+  const authorized = (req) => {
+    const [, jwt] = (req.headers.authorization || '').split('Bearer ');
+    if (!tokens.has(jwt)) {
+      return false;
+    }
+
+    const used = tokens.get(jwt) + 1;
+    tokens.set(jwt, used);
+    return used <= tokenLifetime;
+  };
+
+  const handle = async (req, res) => {
+    const { pathname, searchParams, search } = new URL(req.url, 'http://localhost');
+    const method = req.method.toUpperCase();
+    requests.push({ method, path: pathname, query: decodeURIComponent(search) });
+
+    const fault = findFault(faults, method, pathname, search);
+    if (fault) {
+      fault.times--;
+      if (fault.reset) {
+        req.socket.destroy();
+        return;
+      }
+      send(res, fault.status, { errors: [{ status: String(fault.status), title: 'Injected fault' }] },
+        fault.retryAfter !== undefined ? { 'retry-after': String(fault.retryAfter) } : {});
+      return;
+    }
+
+    if (method === 'POST' && pathname === '/api/auth/v1/authenticate') {
+      return authenticate(req, res, 'password');
+    }
+
+    if (method === 'POST' && pathname === '/api/auth/v2/authenticate') {
+      return authenticate(req, res, 'accesstoken');
+    }
+
+    if (!authorized(req)) {
+      send(res, 401, { errors: [{ status: '401', title: 'Token expired or missing' }] });
+      return;
+    }
+
+    if (method === 'GET' && pathname === '/api/common/v0/applications') {
+      return send(res, 200, page(fixture.applications, searchParams));
+    }
+
+    if (method === 'GET' && pathname === '/api/common/v0/projects') {
+      return send(res, 200, page(fixture.projects, searchParams));
+    }
+
+    if (method === 'GET' && pathname === '/api/common/v0/branches') {
+      return send(res, 200, page(fixture.branches, searchParams));
+    }
+
+    if (method === 'GET' && pathname === '/api/auth/v2/role-assignments') {
+      const object = searchParams.get('filter[role-assignments][object][$eq]') || '';
+      return send(res, 200, roleAssignmentDocument(fixture, object.split(':').pop()));
+    }
+
+    if (method === 'GET' && pathname === '/api/auth/v2/users') {
+      const groupId = searchParams.get('filter[users][groups][id][$eq]');
+      return send(res, 200, page(groupId ? groupMembers(fixture, groupId) : fixture.users, searchParams));
+    }
+
+    if (method === 'POST' && pathname === '/api/common/async/v0/projects/batch/set-property') {
+      propertyUpdates.push(JSON.parse(await readBody(req)));
+      return send(res, 200, { data: { type: 'jobs', id: `job-${propertyUpdates.length}` } });
+    }
+
+    send(res, 404, { errors: [{ status: '404', title: `No mock for ${method} ${pathname}` }] });
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => send(res, 500, { errors: [{ status: '500', title: error.message }] }));
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    fixture,
+    credentials,
+    faults,
+    requests,
+    propertyUpdates,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+if (isEntryPoint(import.meta.url)) {
+  const mock = await startMockPolaris({ port: Number(process.argv[2]) || 4010 });
+  console.log(`Mock Polaris listening on ${mock.url}`);
+  console.log(`Credentials: email ${mock.credentials.email}, password ${mock.credentials.password}, accesstoken ${mock.credentials.accesstoken}`);
+}
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTables, countBy, countDistinct } from '../src/lib/relationalExport.mjs';
+
+//
+//  The counting helpers every report builds on, on tables where a principal holds several roles.
+//
+
+const detail = (userType, principalId, projectId, roleId) => ({
+  projectName: projectId, projectId, userType, principalId, name: principalId, email: '', roleId, roleName: roleId, roleAssignmentId: `ra-${principalId}-${projectId}-${roleId}`
+});
+
+const tables = buildTables({
+  projects: [{ id: 'project-1', name: 'Project 1' }, { id: 'project-2', name: 'Project 2' }],
+  details: [
+    detail('User', 'user-1', 'project-1', 'role-1'),
+    detail('User', 'user-1', 'project-1', 'role-2'),
+    detail('User', 'user-1', 'project-2', 'role-1'),
+    detail('User', 'user-2', 'project-2', 'role-1'),
+    detail('GroupName', 'group-1', 'project-1', 'role-1'),
+    detail('GroupName', 'group-1', 'project-1', 'role-2')
+  ]
+});
+
+describe('countDistinct', () => {
+  it('counts the distinct projects per principal, not the roles', () => {
+    const projectsPerPrincipal = countDistinct(tables.project_principals, 'principalId', 'projectId');
+
+    assert.deepEqual(Object.fromEntries(projectsPerPrincipal), { 'user-1': 2, 'user-2': 1, 'group-1': 1 });
+  });
+
+  it('counts the distinct principals per project', () => {
+    const principalsPerProject = countDistinct(tables.project_principals, 'projectId', 'principalId');
+
+    assert.deepEqual(Object.fromEntries(principalsPerProject), { 'project-1': 2, 'project-2': 2 });
+  });
+});
+
+describe('countBy', () => {
+  it('counts every row, one per role', () => {
+    assert.deepEqual(Object.fromEntries(countBy(tables.project_principals, 'principalId')), { 'user-1': 3, 'user-2': 1, 'group-1': 2 });
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { main } from '../src/main.mjs';
+import { combineDataAndGenerateCsv } from '../src/createReport.mjs';
+import { configureLogger } from '../src/lib/logger.mjs';
+import { startMockPolaris } from './mock/polarisMock.mjs';
+
+//
+//  --record against the mock Polaris, then --replay from the bundle with the mock gone and no config.
+//
+
+configureLogger({ level: 'error' });
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+describe('record and replay', () => {
+  let workDirectory;
+  let bundlePath;
+  let mock;
+
+  before(async () => {
+    workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'cop-profiler-'));
+    bundlePath = path.join(workDirectory, 'tenant.bundle.jsonl');
+
+    mock = await startMockPolaris();
+    const configPath = path.join(workDirectory, 'config.json');
+    await fs.writeFile(configPath, JSON.stringify({
+      customer: 'mock',
+      email: mock.credentials.email,
+      accesstoken: mock.credentials.accesstoken,
+      baseUrl: mock.url
+    }));
+
+    await main({ configPath, outputDirectory: path.join(workDirectory, 'recorded'), existingFiles: 'force', record: bundlePath });
+    await mock.close();
+  });
+
+  after(async () => {
+    process.exitCode = 0;
+    await fs.rm(workDirectory, { recursive: true, force: true });
+  });
+
+  it('writes a sanitized bundle', async () => {
+    const bundle = await fs.readFile(bundlePath, 'utf8');
+    const [header] = bundle.split('\n').map(line => line && JSON.parse(line));
+
+    assert.equal(header.type, 'bundle');
+    assert.doesNotMatch(bundle, /"path":"[^"]*authenticate/);
+    assert.doesNotMatch(bundle, /eyJ/);
+    assert.doesNotMatch(bundle, new RegExp(mock.url.replace(/[.:/]/g, '\\$&')));
+    assert.doesNotMatch(bundle, /user1@example\.com/);
+    assert.doesNotMatch(bundle, /"User 1"/);
+    assert.match(bundle, /"Project 1"/);
+  });
+
+  it('reproduces the collected data and the report without Polaris or a config', async () => {
+    const outputDirectory = path.join(workDirectory, 'replayed');
+
+    const manifest = await main({
+      configPath: path.join(workDirectory, 'missing-config.json'),
+      outputDirectory,
+      existingFiles: 'force',
+      replay: bundlePath
+    });
+
+    assert.equal(manifest.complete, true);
+
+    const recordedDirectory = path.join(workDirectory, 'recorded');
+    for (const file of ['applicationsList.json', 'projectList.json', 'branchesList.json']) {
+      assert.deepEqual(await readJson(path.join(outputDirectory, file)), await readJson(path.join(recordedDirectory, file)), file);
+    }
+
+    const recordedDetails = await readJson(path.join(recordedDirectory, 'userDetailsList.json'));
+    const replayedDetails = await readJson(path.join(outputDirectory, 'userDetailsList.json'));
+    assert.deepEqual(
+      replayedDetails.map(detail => [detail.projectId, detail.userType]),
+      recordedDetails.map(detail => [detail.projectId, detail.userType])
+    );
+
+    await combineDataAndGenerateCsv({ outputDirectory });
+    const report = await fs.readFile(path.join(outputDirectory, 'finalProjectDetails.csv'), 'utf8');
+    assert.equal(report.trim().split('\n').length, replayedDetails.length + 1);
+  });
+
+  it('fails on a call that is not in the bundle', async () => {
+    const outputDirectory = path.join(workDirectory, 'replayed-trimmed');
+
+    const bundle = (await fs.readFile(bundlePath, 'utf8')).split('\n').filter(line => !line.includes('project-2&'));
+    const trimmedBundle = path.join(workDirectory, 'trimmed.bundle.jsonl');
+    await fs.writeFile(trimmedBundle, bundle.join('\n'));
+
+    const trimmed = await main({
+      configPath: path.join(workDirectory, 'missing-config.json'),
+      outputDirectory,
+      existingFiles: 'force',
+      replay: trimmedBundle
+    });
+
+    assert.equal(trimmed.complete, false);
+    assert.deepEqual(trimmed.failures.map(failure => [failure.projectId, failure.code]), [['project-2', 'HTTP 404']]);
+  });
+});
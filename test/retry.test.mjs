@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetry, retryDelayMs } from '../src/lib/retry.mjs';
+import { configureLogger } from '../src/lib/logger.mjs';
+
+//
+//  Retry-After handling of withRetry, without waiting: every retried response asks for 0 seconds.
+//
+
+configureLogger({ level: 'error' });
+
+const rateLimited = (retryAfter) => Object.assign(new Error('Request failed with status code 429'), {
+  response: { status: 429, headers: { 'retry-after': retryAfter } }
+});
+
+const failingTimes = (times, error) => {
+  let calls = 0;
+  const fn = async () => {
+    calls += 1;
+    if (calls <= times) {
+      throw error;
+    }
+    return 'ok';
+  };
+  return { fn, calls: () => calls };
+};
+
+describe('withRetry', () => {
+  it('waits as long as Retry-After asks, in seconds or as an HTTP date', () => {
+    assert.equal(retryDelayMs(rateLimited('5'), 1), 5000);
+    const delay = retryDelayMs(rateLimited(new Date(Date.now() + 10000).toUTCString()), 1);
+    assert.ok(delay > 8000 && delay <= 10000);
+  });
+
+  it('retries a rate-limited call', async () => {
+    const call = failingTimes(2, rateLimited('0'));
+
+    assert.equal(await withRetry(call.fn, { maxAttempts: 3 }), 'ok');
+    assert.equal(call.calls(), 3);
+  });
+
+  it('fails at once when Retry-After asks for more than the profiler waits', async () => {
+    for (const retryAfter of ['86400', new Date(Date.now() + 24 * 3600 * 1000).toUTCString()]) {
+      const error = rateLimited(retryAfter);
+      const call = failingTimes(1, error);
+
+      await assert.rejects(withRetry(call.fn, { maxAttempts: 5 }), thrown => thrown === error);
+      assert.equal(call.calls(), 1);
+    }
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRoleAssignments, countPrincipals } from '../src/lib/roleAssignments.mjs';
+import { configureLogger } from '../src/lib/logger.mjs';
+
+//
+//  parseRoleAssignments on role-assignment documents the mock tenant never produces.
+//
+
+configureLogger({ level: 'error' });
+
+const project = { id: 'project-1', name: 'Project 1' };
+
+const assignment = (id, roleId, principal) => ({
+  id,
+  type: 'role-assignments',
+  relationships: {
+    role: { data: { id: roleId, type: 'roles' } },
+    [principal.type === 'users' ? 'user' : 'group']: { data: { id: principal.id, type: principal.type } }
+  }
+});
+
+const admin = { id: 'role-1', type: 'roles', attributes: { name: 'Admin' } };
+const contributor = { id: 'role-2', type: 'roles', attributes: { name: 'Contributor' } };
+const alice = { id: 'user-1', type: 'users', attributes: { name: 'Alice', email: 'alice@example.com' } };
+const bob = { id: 'user-2', type: 'users', attributes: { name: 'Bob', email: 'bob@example.com' } };
+const reviewers = { id: 'group-1', type: 'groups', attributes: { groupname: 'Reviewers' } };
+
+const rows = (details) => details.map(detail => [detail.roleAssignmentId, detail.userType, detail.principalId, detail.name, detail.roleName]);
+
+describe('parseRoleAssignments', () => {
+  it('gives one row per assignment, so a principal with two roles appears twice', () => {
+    const details = parseRoleAssignments(project, {
+      data: [
+        assignment('ra-1', 'role-1', alice),
+        assignment('ra-2', 'role-2', alice),
+        assignment('ra-3', 'role-2', reviewers)
+      ],
+      included: [admin, contributor, alice, reviewers]
+    });
+
+    assert.deepEqual(rows(details), [
+      ['ra-1', 'User', 'user-1', 'Alice', 'Admin'],
+      ['ra-2', 'User', 'user-1', 'Alice', 'Contributor'],
+      ['ra-3', 'GroupName', 'group-1', 'Reviewers', 'Contributor']
+    ]);
+    assert.equal(details[0].email, 'alice@example.com');
+    assert.equal(details[2].email, '');
+  });
+
+  it('leaves out principals in included that hold no role on the project', () => {
+    const details = parseRoleAssignments(project, {
+      data: [assignment('ra-1', 'role-1', alice)],
+      included: [admin, alice, bob, reviewers]
+    });
+
+    assert.deepEqual(rows(details), [['ra-1', 'User', 'user-1', 'Alice', 'Admin']]);
+  });
+
+  it('keeps the IDs when included is missing', () => {
+    const details = parseRoleAssignments(project, {
+      data: [assignment('ra-1', 'role-1', alice), assignment('ra-2', 'role-2', reviewers)]
+    });
+
+    assert.deepEqual(details.map(detail => [detail.principalId, detail.name, detail.email, detail.roleId, detail.roleName]), [
+      ['user-1', 'user-1', '', 'role-1', ''],
+      ['group-1', 'group-1', '', 'role-2', '']
+    ]);
+  });
+
+  it('returns no rows for a project without assignments', () => {
+    assert.deepEqual(parseRoleAssignments(project, { data: [], included: [] }), []);
+    assert.deepEqual(parseRoleAssignments(project, {}), []);
+  });
+});
+
+describe('countPrincipals', () => {
+  it('counts users and groups by their Polaris ID, so namesakes are not merged', () => {
+    const details = [
+      { userType: 'User', principalId: 'user-1', name: 'Alex Smith' },
+      { userType: 'User', principalId: 'user-2', name: 'Alex Smith' },
+      { userType: 'User', principalId: 'user-1', name: 'Alex Smith' },
+      { userType: 'GroupName', principalId: 'group-1', name: 'Devs' }
+    ];
+
+    assert.equal(countPrincipals(details, 'User'), 2);
+    assert.equal(countPrincipals(details, 'GroupName'), 1);
+  });
+
+  it('falls back to the name for output collected without IDs', () => {
+    assert.equal(countPrincipals([{ userType: 'User', name: 'Alice' }, { userType: 'User', name: 'Alice' }], 'User'), 1);
+  });
+});
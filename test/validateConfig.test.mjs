@@ -0,0 +1,90 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { validateConfig } from '../src/lib/configSchema.mjs';
+import { credentialEnv } from '../src/lib/config.mjs';
+
+//
+//  The config schema, and `cop-profiler validate-config` as a CI job runs it.
+//
+
+const cli = new URL('../src/cli.mjs', import.meta.url).pathname;
+
+const validConfig = { customer: 'acme', email: 'user@example.com', accesstoken: 'token' };
+
+describe('validateConfig', () => {
+  it('accepts a complete config', () => {
+    assert.deepEqual(validateConfig(validConfig), { errors: [], warnings: [] });
+  });
+
+  it('reports an unknown setting as an error, with the setting it probably means', () => {
+    const { errors } = validateConfig({ ...validConfig, accessToken: 'token', retries: 3 });
+
+    assert.deepEqual(errors, [
+      'Unknown setting "accessToken". Did you mean "accesstoken"?',
+      'Unknown setting "retries".'
+    ]);
+  });
+
+  it('warns about a setting that is accepted but no longer used', () => {
+    const { errors, warnings } = validateConfig({ ...validConfig, projectDetailsUrlTemplateBranch: '/api/common/async/v0/projects/{projectId}' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, ['"projectDetailsUrlTemplateBranch" is set but not used by the profiler.']);
+  });
+
+  it('requires credentials and an email, except offline', () => {
+    const { accesstoken, ...withoutToken } = validConfig;
+    assert.match(validateConfig(withoutToken).errors.join('\n'), /^No credentials/);
+
+    const { email, ...withoutEmail } = validConfig;
+    assert.deepEqual(validateConfig(withoutEmail).errors, ['"email" is required for access-token authentication (or set POLARIS_EMAIL).']);
+
+    assert.deepEqual(validateConfig({}, { offline: true }).errors, []);
+  });
+});
+
+describe('cop-profiler validate-config', () => {
+  let workDirectory;
+
+  // Credentials from the environment of whoever runs the tests would hide the missing ones
+  const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !Object.values(credentialEnv).some(variable => name.startsWith(variable))));
+
+  const validate = async (config, ...args) => {
+    const configPath = path.join(workDirectory, `config-${Math.random().toString(36).slice(2)}.json`);
+    await fs.writeFile(configPath, JSON.stringify(config));
+    return spawnSync(process.execPath, [cli, 'validate-config', '-c', configPath, ...args], { env, encoding: 'utf8', timeout: 30000 });
+  };
+
+  before(async () => {
+    workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'cop-profiler-validate-'));
+  });
+
+  after(async () => {
+    await fs.rm(workDirectory, { recursive: true, force: true });
+  });
+
+  it('exits 0 for a valid config, also with warnings', async () => {
+    assert.equal((await validate(validConfig)).status, 0);
+
+    const withWarning = await validate({ ...validConfig, branchesUrl: 'https://example.com' });
+    assert.equal(withWarning.status, 0);
+    assert.match(withWarning.stderr, /"branchesUrl" is set but not used/);
+  });
+
+  it('exits 1 and lists every problem of an invalid config', async () => {
+    const result = await validate({ customer: 'acme', retries: 3 });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Unknown setting "retries"/);
+    assert.match(result.stderr, /No credentials/);
+    assert.match(result.stderr, /has 2 problems/);
+  });
+
+  it('exits 2 for an unknown option', async () => {
+    assert.equal((await validate(validConfig, '--no-such-option')).status, 2);
+  });
+});